@@ -0,0 +1,332 @@
+// ChitChatPosts Review Queue
+// Pending suggestions come from the bot's REST API (/api), authenticated with one of its API_KEYS.
+
+const DEFAULT_API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+
+// The bot URL is remembered; the key only lives for the browser session
+const STORAGE_KEYS = {
+  apiUrl: 'chitchatposts.apiUrl',
+  apiKey: 'chitchatposts.apiKey',
+};
+
+// Separates the tweets of a thread in its textarea (same as the Slack edit modal)
+const THREAD_SEPARATOR = '\n\n---\n\n';
+
+const signinSection = document.getElementById('signin');
+const signinForm = document.getElementById('signin-form');
+const signinError = document.getElementById('signin-error');
+const queueSection = document.getElementById('queue');
+const queueList = document.getElementById('queue-list');
+const queueCount = document.getElementById('queue-count');
+const queueStatus = document.getElementById('queue-status');
+const refreshBtn = document.getElementById('refresh');
+const signOutBtn = document.getElementById('sign-out');
+
+// Platform limits from /api/platforms: { id: { label, emoji, charLimit, thread } }
+let platforms = {};
+
+// ===== API Client =====
+function getSession() {
+  return {
+    apiUrl: localStorage.getItem(STORAGE_KEYS.apiUrl) || DEFAULT_API_URL,
+    apiKey: sessionStorage.getItem(STORAGE_KEYS.apiKey),
+  };
+}
+
+async function api(path, options = {}) {
+  const { apiUrl, apiKey } = getSession();
+  const response = await fetch(`${apiUrl.replace(/\/+$/, '')}/api${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      ...(options.body && { 'Content-Type': 'application/json' }),
+    },
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (response.status === 401) {
+    signOut('That API key was rejected. Sign in again.');
+  }
+  if (!response.ok || !body.success) {
+    const details = body.errors ? ` ${Object.values(body.errors).join(' ')}` : '';
+    throw new Error(`${body.error || `Request failed (${response.status})`}${details}`);
+  }
+  return body;
+}
+
+// ===== Drafts =====
+// Characters as the platforms count them (code points, so emoji count once)
+function countCharacters(text) {
+  return Array.from(text).length;
+}
+
+function getPlatform(id) {
+  return platforms[id] || { id, label: id, emoji: '📝', charLimit: Infinity, thread: null };
+}
+
+function formatDraftInput(draft) {
+  return Array.isArray(draft) ? draft.join(THREAD_SEPARATOR) : (draft || '');
+}
+
+function parseDraftInput(platform, text) {
+  if (!platform.thread) return text.trim();
+  return text.split(/^\s*---\s*$/m).map(post => post.trim()).filter(Boolean);
+}
+
+// Thread posts as they will be published ("1/3" numbering if the platform adds it)
+function numberPosts(platform, posts) {
+  if (!platform.thread?.numbering || posts.length < 2) return posts;
+  return posts.map((post, idx) => `${post} ${idx + 1}/${posts.length}`);
+}
+
+function getFinishedText(platform, draft) {
+  return Array.isArray(draft) ? numberPosts(platform, draft).join('\n\n') : draft;
+}
+
+// Counter text and whether the draft breaks a limit
+function checkDraft(platform, draft) {
+  if (!platform.thread) {
+    const length = countCharacters(draft);
+    return {
+      text: Number.isFinite(platform.charLimit) ? `${length} / ${platform.charLimit}` : `${length} characters`,
+      invalid: length === 0 || length > platform.charLimit,
+    };
+  }
+
+  const lengths = numberPosts(platform, draft).map(countCharacters);
+  const tooLong = lengths
+    .map((length, idx) => ({ length, idx }))
+    .filter(({ length }) => length > platform.charLimit);
+  const problems = tooLong.map(({ idx, length }) => `tweet ${idx + 1} is ${length}/${platform.charLimit}`);
+
+  return {
+    text: [`${draft.length} / ${platform.thread.maxPosts} tweets`, `longest ${Math.max(0, ...lengths)} / ${platform.charLimit}`, ...problems].join(' · '),
+    invalid: draft.length === 0 || draft.length > platform.thread.maxPosts || tooLong.length > 0,
+  };
+}
+
+// ===== Rendering =====
+function el(tag, props = {}, children = []) {
+  const node = Object.assign(document.createElement(tag), props);
+  node.append(...children.filter(child => child !== null && child !== undefined));
+  return node;
+}
+
+function flash(button, label) {
+  const originalText = button.textContent;
+  button.textContent = label;
+  button.classList.add('copied');
+
+  setTimeout(() => {
+    button.textContent = originalText;
+    button.classList.remove('copied');
+  }, 2000);
+}
+
+function setStatus(message, isError = false) {
+  queueStatus.textContent = message;
+  queueStatus.classList.toggle('error', isError);
+}
+
+function renderDraftEditor(platformId, draft) {
+  const platform = getPlatform(platformId);
+  const original = formatDraftInput(draft);
+
+  const textarea = el('textarea', {
+    className: 'draft-input',
+    value: original,
+    rows: Math.min(Math.max(original.split('\n').length + 1, 4), 16),
+  });
+  const counter = el('span', { className: 'draft-counter' });
+  const copyBtn = el('button', { type: 'button', className: 'copy-btn', textContent: 'Copy' });
+
+  const editor = {
+    platformId,
+    get draft() {
+      return parseDraftInput(platform, textarea.value);
+    },
+    get isDirty() {
+      return textarea.value !== original;
+    },
+    get isValid() {
+      return !checkDraft(platform, this.draft).invalid;
+    },
+    onChange: () => {},
+  };
+
+  const update = () => {
+    const { text, invalid } = checkDraft(platform, editor.draft);
+    counter.textContent = text;
+    counter.classList.toggle('over', invalid);
+    editor.onChange();
+  };
+  textarea.addEventListener('input', update);
+
+  copyBtn.addEventListener('click', () => {
+    navigator.clipboard.writeText(getFinishedText(platform, editor.draft)).then(() => flash(copyBtn, 'Copied!'));
+  });
+
+  editor.node = el('div', { className: 'suggestion-draft' }, [
+    el('div', { className: 'draft-header' }, [
+      el('span', { className: 'draft-label', textContent: `${platform.emoji} ${platform.label}` }),
+      copyBtn,
+    ]),
+    textarea,
+    el('div', { className: 'draft-footer' }, [
+      platform.thread ? el('span', { className: 'draft-hint', textContent: 'Separate tweets with a line containing only ---' }) : null,
+      counter,
+    ]),
+  ]);
+
+  queueMicrotask(update);
+  return editor;
+}
+
+function renderCard(record) {
+  const { suggestion } = record;
+  const channel = record.channelName ? `#${record.channelName}` : record.channelId;
+  const meta = [channel, record.source, new Date(record.createdAt).toLocaleString()].filter(Boolean).join(' · ');
+
+  // Drafts in platform display order
+  const order = Object.keys(platforms);
+  const rank = (id) => (order.includes(id) ? order.indexOf(id) : order.length);
+  const editors = Object.entries(suggestion.drafts || {})
+    .sort(([a], [b]) => rank(a) - rank(b))
+    .map(([platformId, draft]) => renderDraftEditor(platformId, draft));
+
+  const saveBtn = el('button', { type: 'button', className: 'btn btn-secondary btn-sm', textContent: 'Save edits' });
+  const approveBtn = el('button', { type: 'button', className: 'btn btn-primary btn-sm', textContent: '✓ Approve' });
+  const rejectBtn = el('button', { type: 'button', className: 'btn btn-outline btn-sm', textContent: '✕ Reject' });
+
+  const card = el('article', { className: 'queue-card' }, [
+    el('div', { className: 'suggestion-meta' }, [
+      el('span', { className: 'suggestion-badge', textContent: Number.isFinite(suggestion.score) ? `Score ${suggestion.score}/10` : 'Pending' }),
+      el('span', { className: 'suggestion-source', textContent: meta }),
+    ]),
+    el('h2', { className: 'queue-card-title', textContent: suggestion.title || 'Untitled idea' }),
+    suggestion.reasoning ? el('div', { className: 'suggestion-why' }, [
+      el('strong', { textContent: 'Why this works' }),
+      el('p', { textContent: suggestion.reasoning }),
+    ]) : null,
+    ...editors.map(editor => editor.node),
+    el('div', { className: 'queue-card-actions' }, [saveBtn, rejectBtn, approveBtn]),
+  ]);
+
+  const editedDrafts = () => Object.fromEntries(editors
+    .filter(editor => editor.isDirty)
+    .map(editor => [editor.platformId, editor.draft]));
+
+  const syncButtons = () => {
+    const valid = editors.every(editor => editor.isValid);
+    saveBtn.disabled = !valid || !editors.some(editor => editor.isDirty);
+    approveBtn.disabled = !valid;
+  };
+  editors.forEach(editor => { editor.onChange = syncButtons; });
+
+  const submit = async (body, done) => {
+    const buttons = [saveBtn, approveBtn, rejectBtn];
+    buttons.forEach(btn => { btn.disabled = true; });
+    try {
+      const { suggestion: updated } = await api(`/suggestions/${record.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify(body),
+      });
+      done(updated);
+    } catch (error) {
+      setStatus(`⚠️ ${error.message}`, true);
+      rejectBtn.disabled = false;
+      syncButtons();
+    }
+  };
+
+  const remove = (message) => {
+    card.remove();
+    setStatus(message);
+    updateCount();
+  };
+
+  saveBtn.addEventListener('click', () => submit({ drafts: editedDrafts() }, (updated) => {
+    card.replaceWith(renderCard(updated));
+    setStatus(`Saved edits to "${suggestion.title}".`);
+  }));
+
+  // Approving keeps any unsaved edits
+  approveBtn.addEventListener('click', () => {
+    const drafts = editedDrafts();
+    submit({ status: 'approved', ...(Object.keys(drafts).length > 0 && { drafts }) },
+      () => remove(`Approved "${suggestion.title}".`));
+  });
+
+  rejectBtn.addEventListener('click', () => submit({ status: 'rejected' },
+    () => remove(`Rejected "${suggestion.title}".`)));
+
+  queueMicrotask(syncButtons);
+  return card;
+}
+
+function updateCount() {
+  const count = queueList.querySelectorAll('.queue-card').length;
+  queueCount.textContent = count === 1 ? '1 suggestion waiting for review' : `${count} suggestions waiting for review`;
+
+  if (count === 0 && !queueList.querySelector('.queue-empty')) {
+    queueList.append(el('p', { className: 'queue-empty', textContent: '🎉 Nothing to review. New suggestions show up here as the bot finds them.' }));
+  }
+}
+
+async function loadQueue() {
+  refreshBtn.disabled = true;
+  setStatus('Loading…');
+
+  try {
+    if (Object.keys(platforms).length === 0) {
+      const { platforms: list } = await api('/platforms');
+      platforms = Object.fromEntries(list.map(platform => [platform.id, platform]));
+    }
+
+    const { suggestions } = await api('/suggestions?status=pending&limit=100');
+    queueList.replaceChildren(...suggestions.map(renderCard));
+    updateCount();
+    setStatus('');
+  } catch (error) {
+    setStatus(`⚠️ ${error.message}`, true);
+  } finally {
+    refreshBtn.disabled = false;
+  }
+}
+
+// ===== Sign in =====
+function showQueue() {
+  signinSection.hidden = true;
+  queueSection.hidden = false;
+  signOutBtn.hidden = false;
+  loadQueue();
+}
+
+function signOut(message = '') {
+  sessionStorage.removeItem(STORAGE_KEYS.apiKey);
+  platforms = {};
+  queueList.replaceChildren();
+  queueSection.hidden = true;
+  signOutBtn.hidden = true;
+  signinSection.hidden = false;
+  signinError.textContent = message;
+  signinForm.apiUrl.value = getSession().apiUrl;
+}
+
+signinForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  localStorage.setItem(STORAGE_KEYS.apiUrl, signinForm.apiUrl.value.trim());
+  sessionStorage.setItem(STORAGE_KEYS.apiKey, signinForm.apiKey.value.trim());
+  signinForm.apiKey.value = '';
+  signinError.textContent = '';
+  showQueue();
+});
+
+refreshBtn.addEventListener('click', loadQueue);
+signOutBtn.addEventListener('click', () => signOut());
+
+if (getSession().apiKey) {
+  showQueue();
+} else {
+  signOut();
+}
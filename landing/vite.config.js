@@ -0,0 +1,15 @@
+import { resolve } from 'path';
+import { defineConfig } from 'vite';
+
+// Multi-page build: landing page, docs and the review dashboard
+export default defineConfig({
+  build: {
+    rollupOptions: {
+      input: {
+        main: resolve(import.meta.dirname, 'index.html'),
+        docs: resolve(import.meta.dirname, 'docs.html'),
+        dashboard: resolve(import.meta.dirname, 'dashboard.html'),
+      },
+    },
+  },
+});
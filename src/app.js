@@ -1,6 +1,10 @@
 import express from 'express';
 import cors from 'cors';
 import healthRoutes from './routes/health.routes.js';
+import apiRoutes from './routes/api.routes.js';
+import metricsRoutes from './routes/metrics.routes.js';
+import slackRoutes from './routes/slack.routes.js';
+import { OAUTH_ENABLED } from './services/workspaces.js';
 import { errorHandler, notFound } from './middleware/error.middleware.js';
 
 /**
@@ -22,6 +26,13 @@ function createApp() {
 
   // Routes
   app.use('/health', healthRoutes);
+  app.use('/api', apiRoutes);
+  app.use('/metrics', metricsRoutes);
+
+  // OAuth install flow, when SLACK_CLIENT_ID / SLACK_CLIENT_SECRET / SLACK_STATE_SECRET are set
+  if (OAUTH_ENABLED) {
+    app.use('/slack', slackRoutes);
+  }
 
   // 404 handler - must be after all routes
   app.use(notFound);
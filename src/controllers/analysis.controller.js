@@ -0,0 +1,40 @@
+import { triggerManualAnalysis } from '../jobs/scheduler.js';
+import { isConfigured } from '../services/llm.js';
+import { listWorkspaces } from '../services/workspaces.js';
+
+const MAX_HOURS_BACK = 7 * 24;
+
+/**
+ * POST /api/analysis - run the scheduled analysis now.
+ * Body: { hoursBack, teamId } (default 6, every workspace). Returns 202 immediately;
+ * suggestions are posted to each workspace's suggestions channel as usual.
+ */
+export function triggerAnalysis(req, res) {
+  const hoursBack = Number(req.body?.hoursBack ?? 6);
+  const teamId = req.body?.teamId || null;
+
+  if (!Number.isFinite(hoursBack) || hoursBack <= 0 || hoursBack > MAX_HOURS_BACK) {
+    return res.status(400).json({
+      success: false,
+      error: `hoursBack must be a number between 0 and ${MAX_HOURS_BACK}`,
+    });
+  }
+  if (teamId && !listWorkspaces().some(workspace => workspace.teamId === teamId)) {
+    return res.status(404).json({ success: false, error: `Workspace ${teamId} is not installed` });
+  }
+  if (!isConfigured()) {
+    return res.status(503).json({ success: false, error: 'LLM not configured' });
+  }
+
+  // Analysis can take minutes; run it in the background
+  triggerManualAnalysis(hoursBack, teamId).catch(error => {
+    console.error('[API] Manual analysis failed:', error.message);
+  });
+
+  res.status(202).json({
+    success: true,
+    status: 'started',
+    hoursBack,
+    teamId,
+  });
+}
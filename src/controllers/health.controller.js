@@ -1,3 +1,5 @@
+import { checkLiveness, checkReadiness } from '../services/health.js';
+
 /**
  * Health check - returns server status and uptime info.
  */
@@ -10,3 +12,36 @@ export async function getHealth(req, res) {
     env: process.env.NODE_ENV || 'development',
   });
 }
+
+/**
+ * Liveness - 503 when the bot is wedged (Socket Mode stuck disconnected or a job hung),
+ * so the orchestrator restarts it.
+ */
+export async function getLiveness(req, res) {
+  const { ok, ...details } = checkLiveness();
+
+  res.status(ok ? 200 : 503).json({
+    success: ok,
+    status: ok ? 'alive' : 'wedged',
+    timestamp: new Date().toISOString(),
+    ...details,
+  });
+}
+
+/**
+ * Readiness - 503 until Slack, the LLM, the scheduler and storage are all usable.
+ */
+export async function getReadiness(req, res, next) {
+  try {
+    const { ok, checks } = await checkReadiness();
+
+    res.status(ok ? 200 : 503).json({
+      success: ok,
+      status: ok ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
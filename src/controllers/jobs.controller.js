@@ -0,0 +1,48 @@
+import { listJobs, getJob, cancelJob } from '../services/jobQueue.js';
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled', 'timed_out', 'skipped'];
+
+/**
+ * GET /api/jobs - queued, running and recent analysis jobs, newest first.
+ * Query: status, team
+ */
+export function getJobs(req, res) {
+  const { status, team } = req.query;
+
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status. Use one of: ${JOB_STATUSES.join(', ')}`,
+    });
+  }
+
+  const jobs = listJobs({ status: status || null, teamId: team || null });
+  res.status(200).json({ success: true, total: jobs.length, jobs });
+}
+
+/**
+ * GET /api/jobs/:id
+ */
+export function getJobById(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.status(200).json({ success: true, job });
+}
+
+/**
+ * POST /api/jobs/:id/cancel - cancel a queued or running job.
+ * A running job stops at its next LLM request or step; its channel stays locked until then.
+ */
+export function cancelJobById(req, res, next) {
+  try {
+    const job = cancelJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.status(200).json({ success: true, job });
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,13 @@
+import { getMetrics as renderMetrics } from '../services/metrics.js';
+
+/**
+ * Prometheus scrape endpoint - metrics in the text exposition format.
+ */
+export async function getMetrics(req, res, next) {
+  try {
+    const { contentType, body } = await renderMetrics();
+    res.set('Content-Type', contentType).status(200).send(body);
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,24 @@
+import { getInstaller } from '../services/workspaces.js';
+
+/**
+ * GET /slack/install - "Add to Slack" page (redirects to Slack's consent screen).
+ */
+export async function installApp(req, res, next) {
+  try {
+    await getInstaller().handleInstallPath(req, res);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /slack/oauth_redirect - Slack redirects here after consent; stores the installation.
+ * The installer renders its own success / failure page.
+ */
+export async function completeInstall(req, res, next) {
+  try {
+    await getInstaller().handleCallback(req, res);
+  } catch (error) {
+    next(error);
+  }
+}
@@ -0,0 +1,18 @@
+import { listPlatforms, getPostLimit } from '../services/platforms.js';
+
+/**
+ * GET /api/platforms - registered platforms and their limits (for draft editors).
+ */
+export function getPlatforms(req, res) {
+  res.status(200).json({
+    success: true,
+    platforms: listPlatforms().map(platform => ({
+      id: platform.id,
+      label: platform.label,
+      emoji: platform.emoji,
+      charLimit: platform.charLimit,
+      postLimit: getPostLimit(platform),
+      thread: platform.thread || null,
+    })),
+  });
+}
@@ -0,0 +1,13 @@
+import { getStats } from '../services/conversationBuffer.js';
+import { getStoreStats } from '../services/suggestionStore.js';
+
+/**
+ * GET /api/stats - conversation buffer and suggestion store stats.
+ */
+export function getBotStats(req, res) {
+  res.status(200).json({
+    success: true,
+    buffer: getStats(),
+    store: getStoreStats(),
+  });
+}
@@ -0,0 +1,154 @@
+import {
+  getSuggestion,
+  getSuggestionRecords,
+  updateSuggestionStatus,
+  updateSuggestionDrafts,
+  SUGGESTION_STATUSES,
+  SNOOZE_DURATION_MS,
+} from '../services/suggestionStore.js';
+import { getPlatform, parseDraftInput } from '../services/platforms.js';
+import { validateDrafts } from '../utils/suggestionBlocks.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse a date query/body value: ISO string or epoch milliseconds.
+ * Returns null when missing, NaN when invalid.
+ */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number' || /^\d+$/.test(value)) return Number(value);
+  return Date.parse(value);
+}
+
+/**
+ * GET /api/suggestions - list suggestions, newest first.
+ * Query: team, channel, status (comma-separated), since, until (ISO date or epoch ms), limit, offset
+ */
+export function listSuggestions(req, res) {
+  const { team, channel, status } = req.query;
+  const statuses = status ? String(status).split(',').map(s => s.trim()).filter(Boolean) : null;
+  const since = parseDate(req.query.since);
+  const until = parseDate(req.query.until);
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const unknownStatuses = (statuses || []).filter(s => !SUGGESTION_STATUSES.includes(s));
+  if (unknownStatuses.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown status: ${unknownStatuses.join(', ')}. Valid: ${SUGGESTION_STATUSES.join(', ')}`,
+    });
+  }
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return res.status(400).json({
+      success: false,
+      error: 'since/until must be an ISO date or epoch milliseconds',
+    });
+  }
+
+  const matches = getSuggestionRecords(team || null)
+    .filter(record => !channel || record.channelId === channel)
+    .filter(record => !statuses || statuses.includes(record.status))
+    .filter(record => since === null || record.createdAt >= since)
+    .filter(record => until === null || record.createdAt <= until)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  res.status(200).json({
+    success: true,
+    total: matches.length,
+    limit,
+    offset,
+    suggestions: matches.slice(offset, offset + limit),
+  });
+}
+
+/**
+ * GET /api/suggestions/:id - fetch one suggestion.
+ */
+export function getSuggestionById(req, res) {
+  const record = getSuggestion(req.params.id);
+  if (!record) {
+    return res.status(404).json({ success: false, error: 'Suggestion not found' });
+  }
+
+  res.status(200).json({ success: true, suggestion: record });
+}
+
+/**
+ * PATCH /api/suggestions/:id - update status and/or edited drafts.
+ * Body: { status, snoozedUntil, drafts: { platformId: text | [posts] }, userId }
+ * Drafts are validated against platform limits, like the Slack edit modal.
+ */
+export function updateSuggestion(req, res) {
+  const { id } = req.params;
+  const { status, drafts, snoozedUntil, userId = null } = req.body || {};
+
+  const record = getSuggestion(id);
+  if (!record) {
+    return res.status(404).json({ success: false, error: 'Suggestion not found' });
+  }
+  if (status === undefined && drafts === undefined) {
+    return res.status(400).json({ success: false, error: 'Provide status and/or drafts' });
+  }
+  if (status !== undefined && !SUGGESTION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status: ${status}. Valid: ${SUGGESTION_STATUSES.join(', ')}`,
+    });
+  }
+
+  const snoozeUntil = parseDate(snoozedUntil);
+  if (Number.isNaN(snoozeUntil)) {
+    return res.status(400).json({ success: false, error: 'snoozedUntil must be an ISO date or epoch milliseconds' });
+  }
+
+  let parsedDrafts = null;
+  if (drafts !== undefined) {
+    if (!drafts || typeof drafts !== 'object' || Array.isArray(drafts)) {
+      return res.status(400).json({ success: false, error: 'drafts must be an object keyed by platform ID' });
+    }
+
+    // Only the platforms the suggestion was drafted for can be edited
+    const errors = {};
+    parsedDrafts = {};
+    for (const [platformId, draft] of Object.entries(drafts)) {
+      if (!Object.hasOwn(record.suggestion.drafts, platformId)) {
+        errors[platformId] = `Suggestion has no ${platformId} draft`;
+        continue;
+      }
+      const isPostList = Array.isArray(draft) && getPlatform(platformId)?.thread
+        && draft.every(post => typeof post === 'string');
+      if (typeof draft !== 'string' && !isPostList) {
+        errors[platformId] = 'Draft must be a string (or an array of strings for threads)';
+        continue;
+      }
+
+      // Threads take a list of posts, or one text with posts separated by "---" lines
+      parsedDrafts[platformId] = isPostList
+        ? draft.map(post => post.trim()).filter(Boolean)
+        : parseDraftInput(platformId, draft);
+      const [error] = Object.values(validateDrafts({ [platformId]: parsedDrafts[platformId] }));
+      if (error) errors[platformId] = error;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid drafts', errors });
+    }
+  }
+
+  let updated = record;
+  if (parsedDrafts) {
+    updated = updateSuggestionDrafts(id, parsedDrafts, { userId, via: 'api' });
+  }
+  if (status !== undefined) {
+    updated = updateSuggestionStatus(id, status, {
+      userId,
+      via: 'api',
+      snoozedUntil: status === 'snoozed' ? snoozeUntil ?? Date.now() + SNOOZE_DURATION_MS : null,
+    });
+  }
+
+  res.status(200).json({ success: true, suggestion: updated });
+}
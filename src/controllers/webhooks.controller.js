@@ -0,0 +1,32 @@
+import { getDeadLetters, retryDeadLetter, listWebhookEndpoints } from '../services/webhooks.js';
+
+/**
+ * GET /api/webhooks - configured endpoints (without secrets).
+ */
+export function getWebhookEndpoints(req, res) {
+  res.status(200).json({ success: true, endpoints: listWebhookEndpoints() });
+}
+
+/**
+ * GET /api/webhooks/dead-letters - deliveries that ran out of retries, newest first.
+ * Query: team
+ */
+export function listDeadLetters(req, res) {
+  const deadLetters = getDeadLetters(req.query.team || null);
+  res.status(200).json({ success: true, total: deadLetters.length, deadLetters });
+}
+
+/**
+ * POST /api/webhooks/dead-letters/:id/retry - redeliver a dead-lettered event.
+ * Delivery runs in the background; the entry disappears once it succeeds.
+ */
+export function retryDelivery(req, res, next) {
+  try {
+    if (!retryDeadLetter(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    }
+    res.status(202).json({ success: true, message: 'Redelivery started' });
+  } catch (error) {
+    next(error);
+  }
+}
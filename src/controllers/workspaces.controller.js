@@ -0,0 +1,54 @@
+import { listWorkspaces } from '../services/workspaces.js';
+import { listMonitoredChannels } from '../services/channelEnrollment.js';
+import { getRedactionSettings, setRedactionSettings } from '../services/redaction.js';
+
+/**
+ * Check that a team ID is one of the workspaces the bot serves.
+ */
+function isKnownWorkspace(teamId) {
+  return listWorkspaces().some(workspace => workspace.teamId === teamId);
+}
+
+/**
+ * GET /api/workspaces - workspaces the bot serves, their scheduler targets and monitored channels (no tokens).
+ */
+export function getWorkspaces(req, res) {
+  const workspaces = listWorkspaces().map(workspace => ({
+    ...workspace,
+    channels: listMonitoredChannels(workspace.teamId),
+  }));
+
+  res.status(200).json({ success: true, workspaces });
+}
+
+/**
+ * GET /api/workspaces/:teamId/redaction - a workspace's effective redaction settings.
+ */
+export function getWorkspaceRedaction(req, res) {
+  const { teamId } = req.params;
+  if (!isKnownWorkspace(teamId)) {
+    return res.status(404).json({ success: false, error: 'Workspace not found' });
+  }
+
+  res.status(200).json({ success: true, redaction: getRedactionSettings(teamId) });
+}
+
+/**
+ * PUT /api/workspaces/:teamId/redaction - update a workspace's redaction settings.
+ * Body (each field optional, replaces the current value): { enabled, detectors, customPatterns, keywords }
+ */
+export function updateWorkspaceRedaction(req, res) {
+  const { teamId } = req.params;
+  if (!isKnownWorkspace(teamId)) {
+    return res.status(404).json({ success: false, error: 'Workspace not found' });
+  }
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({ success: false, error: 'Body must be an object of redaction settings' });
+  }
+
+  try {
+    res.status(200).json({ success: true, redaction: setRedactionSettings(teamId, req.body) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+}
@@ -3,13 +3,87 @@
  * 
  * Event handlers for Slack messages and slash commands.
  * Integrates conversation buffer, LLM analysis, history fetching, and deduplication.
+ * All state is looked up for the workspace the request came from (context.teamId).
  */
 
+import axios from 'axios';
+import { randomUUID } from 'crypto';
 import { addMessage, getMessages, shouldStoreMessage } from '../services/conversationBuffer.js';
-import { analyzeConversation, isConfigured, LLM_PROVIDER } from '../services/llm.js';
-import { fetchHistoryByTime, fetchMessagesSince } from '../services/slackHistory.js';
-import { storeSuggestion, getLastSyncTimestamp, updateSyncTimestamp } from '../services/suggestionStore.js';
-import { checkDuplicate } from '../services/deduplication.js';
+import { analyzeConversation, isConfigured, getRequiredEnv, LLM_PROVIDER } from '../services/llm.js';
+import { fetchHistoryByTime, fetchMessagesSince, getLatestTimestamp, forgetHistoryClient } from '../services/slackHistory.js';
+import {
+    storeSuggestion,
+    getLastSyncTimestamp,
+    updateSyncTimestamp,
+    getSuggestion,
+    getSuggestionsByBatch,
+    updateSuggestionStatus,
+    updateSuggestionDrafts,
+    SNOOZE_DURATION_MS,
+} from '../services/suggestionStore.js';
+import {
+    checkDuplicate,
+    getDedupBackend,
+    getSimilarityThreshold,
+    setSimilarityThreshold,
+    resetSimilarityThreshold,
+} from '../services/deduplication.js';
+import { humanizeMessages, getChannelName, isAdminUser } from '../services/slackDirectory.js';
+import {
+    getTemplate,
+    getChannelTemplate,
+    listTemplates,
+    saveTemplate,
+    bindTemplate,
+    resetChannelTemplate,
+    TEMPLATE_VARIABLES,
+} from '../services/promptTemplates.js';
+import {
+    getVoiceProfile,
+    listVoiceProfiles,
+    saveVoiceProfile,
+    addVoiceExample,
+    deleteVoiceProfile,
+    getChannelVoice,
+    setChannelVoice,
+    resetChannelVoice,
+} from '../services/voiceProfiles.js';
+import {
+    listPlatforms,
+    parseDraftInput,
+    getChannelPlatforms,
+    setChannelPlatforms,
+    resetChannelPlatforms,
+} from '../services/platforms.js';
+import {
+    formatLifecycleBlocks,
+    formatEditModal,
+    formatScore,
+    validateDrafts,
+    formatDraftBlocks,
+    draftBlockId,
+    SUGGESTION_ACTIONS,
+    SUGGESTION_EDIT_ACTION,
+    SUGGESTION_EDIT_MODAL,
+    SUGGESTION_REVEAL_ACTION,
+} from '../utils/suggestionBlocks.js';
+import {
+    getRedactionSettings,
+    setRedactionSettings,
+    resetRedactionSettings,
+    listDetectors,
+    restoreDrafts,
+} from '../services/redaction.js';
+import { formatSuggestionBlocks, syncSchedules } from '../jobs/scheduler.js';
+import { enqueueJob, listJobs, cancelJob } from '../services/jobQueue.js';
+import { installationStore } from '../services/workspaces.js';
+import {
+    listMonitoredChannels,
+    getChannelEnrollment,
+    watchChannel,
+    unwatchChannel,
+    ANALYSIS_WINDOWS,
+} from '../services/channelEnrollment.js';
 
 const MIN_MESSAGES_FOR_ANALYSIS = parseInt(process.env.MIN_MESSAGES_FOR_ANALYSIS, 10) || 5;
 
@@ -17,7 +91,7 @@ const MIN_MESSAGES_FOR_ANALYSIS = parseInt(process.env.MIN_MESSAGES_FOR_ANALYSIS
  * Handle incoming message events
  * Stores valid messages to the conversation buffer
  */
-function handleMessage({ event, message }) {
+function handleMessage({ event, message, context }) {
     // Use event or message depending on what's available
     const msg = message || event;
 
@@ -25,18 +99,58 @@ function handleMessage({ event, message }) {
         return;
     }
 
-    const { channel, user, text, ts } = msg;
-    addMessage(channel, user, text, ts);
+    // Buffer under the receiving workspace (in Slack Connect channels msg.team is the sender's)
+    const { channel, user, text, ts, thread_ts: threadTs } = msg;
+    addMessage(context.teamId, channel, user, text, ts, threadTs);
+}
+
+/**
+ * Format a single post idea as Slack blocks
+ * @param {Object} idea - Idea { title, score, reasoning, drafts }
+ * @param {Object} options - { rank, duplicateInfo, record }
+ * @returns {Array} - Slack blocks
+ */
+function formatIdeaBlocks(idea, options = {}) {
+    const { rank = null, duplicateInfo = null, record = null } = options;
+    const title = rank ? `${rank}. ${idea.title}` : idea.title;
+
+    const blocks = [
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `*${title}*${formatScore(idea.score)}\n\n*Why this works:*\n${idea.reasoning}`,
+            },
+        },
+        ...formatDraftBlocks(idea.drafts),
+    ];
+
+    // Add duplicate warning if similar content exists
+    if (duplicateInfo && duplicateInfo.similarity > 0.5) {
+        blocks.push({
+            type: 'context',
+            elements: [
+                {
+                    type: 'mrkdwn',
+                    text: `⚠️ _${(duplicateInfo.similarity * 100).toFixed(0)}% similar to a previous suggestion_`,
+                },
+            ],
+        });
+    }
+
+    blocks.push(...formatLifecycleBlocks(record));
+
+    return blocks;
 }
 
 /**
  * Format the analysis result as Slack blocks
- * @param {Object} analysis - LLM analysis result
- * @param {Object} options - Additional options (source, isDuplicate)
+ * @param {Object} analysis - LLM analysis result { isPostWorthy, reasoning, ideas, voice }
+ * @param {Object} options - Additional options (source, ideaDetails: [{ record, duplicateInfo }] aligned with ideas)
  * @returns {Array} - Slack blocks
  */
 function formatAnalysisBlocks(analysis, options = {}) {
-    const { source = 'analyze', duplicateInfo = null } = options;
+    const { source = 'analyze', ideaDetails = [] } = options;
 
     if (!analysis.isPostWorthy) {
         return [
@@ -50,72 +164,45 @@ function formatAnalysisBlocks(analysis, options = {}) {
         ];
     }
 
+    const { ideas } = analysis;
+
     const blocks = [
         {
             type: 'header',
             text: {
                 type: 'plain_text',
-                text: '💡 Post-worthy idea spotted',
+                text: ideas.length === 1 ? '💡 Post-worthy idea spotted' : `💡 ${ideas.length} post-worthy ideas spotted`,
                 emoji: true,
             },
         },
     ];
 
     // Add source context if not default analyze
-    if (source !== 'analyze') {
+    const context = [
+        ...(source !== 'analyze' ? [`Source: ${source}`] : []),
+        ...(analysis.voice ? [`Voice: ${analysis.voice}`] : []),
+    ];
+    if (context.length > 0) {
         blocks.push({
             type: 'context',
             elements: [
                 {
                     type: 'mrkdwn',
-                    text: `Source: ${source}`,
+                    text: context.join('  •  '),
                 },
             ],
         });
     }
 
-    blocks.push(
-        {
-            type: 'section',
-            text: {
-                type: 'mrkdwn',
-                text: `*Why this works:*\n${analysis.reasoning}`,
-            },
-        },
-        {
-            type: 'divider',
-        },
-        {
-            type: 'section',
-            text: {
-                type: 'mrkdwn',
-                text: `*📝 LinkedIn Draft:*\n\n${analysis.linkedInDraft}`,
-            },
-        },
-        {
-            type: 'divider',
-        },
-        {
-            type: 'section',
-            text: {
-                type: 'mrkdwn',
-                text: `*𝕏 Twitter/X Draft:*\n\n${analysis.xDraft}`,
-            },
+    ideas.forEach((idea, idx) => {
+        if (idx > 0) {
+            blocks.push({ type: 'divider' });
         }
-    );
-
-    // Add duplicate warning if similar content exists
-    if (duplicateInfo && duplicateInfo.similarity > 0.5) {
-        blocks.push({
-            type: 'context',
-            elements: [
-                {
-                    type: 'mrkdwn',
-                    text: `⚠️ _${(duplicateInfo.similarity * 100).toFixed(0)}% similar to a previous suggestion_`,
-                },
-            ],
-        });
-    }
+        blocks.push(...formatIdeaBlocks(idea, {
+            rank: ideas.length > 1 ? idx + 1 : null,
+            ...ideaDetails[idx],
+        }));
+    });
 
     blocks.push({
         type: 'context',
@@ -134,10 +221,11 @@ function formatAnalysisBlocks(analysis, options = {}) {
  * Perform analysis and respond
  * @param {Array} messages - Messages to analyze
  * @param {Function} respond - Slack respond function
- * @param {Object} options - Options (source for display)
+ * @param {Object} options - Options (source for display, channelId, teamId, client for name resolution,
+ *   signal from the channel's job)
  */
 async function performAnalysis(messages, respond, options = {}) {
-    const { source = 'Real-time buffer' } = options;
+    const { source = 'Real-time buffer', channelId = null, teamId = null, client = null, voice = null, signal = null } = options;
 
     if (messages.length < MIN_MESSAGES_FOR_ANALYSIS) {
         await respond({
@@ -149,7 +237,17 @@ async function performAnalysis(messages, respond, options = {}) {
     }
 
     try {
-        const analysis = await analyzeConversation(messages);
+        const channelName = await getChannelName(client, channelId);
+        const analysis = await analyzeConversation(await humanizeMessages(client, messages), {
+            teamId,
+            channelId,
+            channelName,
+            voice,
+            signal,
+        });
+
+        // Cancelled or timed out: runCommandJob tells the user
+        if (signal?.aborted) return;
 
         if (analysis.error) {
             await respond({
@@ -160,22 +258,35 @@ async function performAnalysis(messages, respond, options = {}) {
             return;
         }
 
-        // Check for duplicates
-        const duplicateInfo = analysis.isPostWorthy ? checkDuplicate(analysis) : null;
-
-        // Store if post-worthy
-        if (analysis.isPostWorthy) {
-            storeSuggestion(analysis);
+        // Check each idea for duplicates, then store it (so later ideas are compared against it too)
+        const batchId = randomUUID();
+        const ideaDetails = [];
+        for (const idea of analysis.ideas) {
+            const duplicateInfo = await checkDuplicate(idea, { teamId, channelId });
+            const record = storeSuggestion(idea, {
+                teamId,
+                channelId,
+                channelName,
+                source,
+                origin: 'command',
+                batchId,
+                similarity: duplicateInfo.similarity,
+                redactions: analysis.redactions,
+                voice: analysis.voice,
+            });
+            ideaDetails.push({ record, duplicateInfo });
         }
 
         // Send formatted response
         await respond({
-            blocks: formatAnalysisBlocks(analysis, { source, duplicateInfo }),
+            blocks: formatAnalysisBlocks(analysis, { source, ideaDetails }),
             response_type: 'ephemeral',
             replace_original: true,
         });
 
     } catch (error) {
+        if (signal?.aborted) return;
+
         console.error('[SlashCommand] Error during analysis:', error);
         await respond({
             text: '⚠️ Something went wrong during analysis. Please try again later.',
@@ -185,21 +296,904 @@ async function performAnalysis(messages, respond, options = {}) {
     }
 }
 
+/**
+ * Run a slash command's fetch + analysis as a queued job (one job per channel at a time)
+ * @param {Object} params - { teamId, channelId, userId, source, respond }
+ * @param {Function} work - (signal) => Promise
+ */
+async function runCommandJob({ teamId, channelId, userId, source, respond }, work) {
+    const { job, result } = enqueueJob({ name: 'command', teamId, channelId, source, requestedBy: userId, run: work });
+
+    if (job.status === 'queued') {
+        await respond({
+            text: `⏳ Another analysis of this channel is in progress. Yours is queued and starts when it finishes (job \`${job.id}\`).`,
+            response_type: 'ephemeral',
+        });
+    }
+
+    try {
+        await result;
+    } catch (error) {
+        await respond({
+            text: `⚠️ ${error.message}`,
+            response_type: 'ephemeral',
+            replace_original: true,
+        });
+    }
+}
+
+/**
+ * Render a stored suggestion with its current lifecycle state
+ * @param {Object} record - Stored suggestion record
+ * @returns {Array} - Slack blocks
+ */
+function formatRecordBlocks(record) {
+    if (record.origin === 'scheduler') {
+        return formatSuggestionBlocks(record.suggestion, record.source, record);
+    }
+
+    // Slash command responses show every idea from the same analysis in one message
+    const batch = record.batchId ? getSuggestionsByBatch(record.batchId) : [record];
+    const records = batch.map(entry => (entry.id === record.id ? record : entry));
+
+    return formatAnalysisBlocks(
+        { isPostWorthy: true, ideas: records.map(entry => entry.suggestion) },
+        {
+            source: record.source || 'analyze',
+            ideaDetails: records.map(entry => ({ record: entry, duplicateInfo: { similarity: entry.similarity } })),
+        }
+    );
+}
+
+/**
+ * Get a stored suggestion if it belongs to the given workspace
+ * @param {string} id - Suggestion ID
+ * @param {string} teamId - Slack team ID of the request
+ * @returns {Object|null}
+ */
+function getWorkspaceSuggestion(id, teamId) {
+    const record = getSuggestion(id);
+    return record && record.teamId === teamId ? record : null;
+}
+
+/**
+ * Handle Approve / Reject / Snooze / Publish / Reopen button clicks
+ * Updates the suggestion status and re-renders the original message in place
+ */
+async function handleSuggestionAction({ ack, action, body, context, respond }) {
+    await ack();
+
+    const statusByAction = {
+        [SUGGESTION_ACTIONS.approve]: 'approved',
+        [SUGGESTION_ACTIONS.reject]: 'rejected',
+        [SUGGESTION_ACTIONS.snooze]: 'snoozed',
+        [SUGGESTION_ACTIONS.publish]: 'published',
+        [SUGGESTION_ACTIONS.reopen]: 'pending',
+    };
+
+    const status = statusByAction[action.action_id];
+    const suggestionId = action.value;
+
+    if (!getWorkspaceSuggestion(suggestionId, context.teamId)) {
+        await respond({
+            text: '⚠️ This suggestion is no longer available.',
+            response_type: 'ephemeral',
+            replace_original: false,
+        });
+        return;
+    }
+
+    const record = updateSuggestionStatus(suggestionId, status, {
+        userId: body.user?.id,
+        snoozedUntil: status === 'snoozed' ? Date.now() + SNOOZE_DURATION_MS : null,
+    });
+
+    await respond({
+        blocks: formatRecordBlocks(record),
+        text: `Suggestion ${status}`,
+        replace_original: true,
+    });
+}
+
+/**
+ * Handle the Edit button: open a modal prefilled with the current drafts
+ */
+async function handleEditAction({ ack, action, body, client, context, respond }) {
+    await ack();
+
+    const record = getWorkspaceSuggestion(action.value, context.teamId);
+    if (!record) {
+        await respond({
+            text: '⚠️ This suggestion is no longer available.',
+            response_type: 'ephemeral',
+            replace_original: false,
+        });
+        return;
+    }
+
+    // Carry enough context to re-render the original message after submit
+    const metadata = body.container?.is_ephemeral
+        ? { responseUrl: body.response_url }
+        : { channelId: body.container?.channel_id, messageTs: body.container?.message_ts };
+
+    try {
+        await client.views.open({
+            trigger_id: body.trigger_id,
+            view: formatEditModal(record, metadata),
+        });
+    } catch (error) {
+        console.error('[Handlers] Failed to open edit modal:', error.message);
+    }
+}
+
+/**
+ * Handle the Show originals button: send the clicking admin the drafts with redacted values restored
+ * (ephemeral; the suggestion message itself keeps its placeholders)
+ */
+async function handleRevealAction({ ack, action, body, client, context, respond }) {
+    await ack();
+
+    const reply = (message) => respond({ text: message, response_type: 'ephemeral', replace_original: false });
+    const record = getWorkspaceSuggestion(action.value, context.teamId);
+    if (!record) {
+        await reply('⚠️ This suggestion is no longer available.');
+        return;
+    }
+
+    if (!(await isAdminUser(client, body.user?.id))) {
+        await reply('⚠️ Only workspace admins can see redacted values.');
+        return;
+    }
+
+    const drafts = restoreDrafts(record.id, record.suggestion.drafts);
+    if (!drafts) {
+        await reply('The original values are no longer available (they are only kept in memory until the bot restarts).');
+        return;
+    }
+
+    await respond({
+        blocks: [
+            { type: 'context', elements: [{ type: 'mrkdwn', text: '🔓 *Drafts with original values* — only you can see this' }] },
+            ...formatDraftBlocks(drafts),
+        ],
+        text: 'Drafts with original values',
+        response_type: 'ephemeral',
+        replace_original: false,
+    });
+}
+
+/**
+ * Handle edit modal submission: validate, save and update the original message
+ */
+async function handleEditSubmission({ ack, view, body, client, context }) {
+    const { suggestionId, responseUrl, channelId, messageTs } = JSON.parse(view.private_metadata || '{}');
+    const values = view.state.values;
+
+    const record = getWorkspaceSuggestion(suggestionId, context.teamId);
+    if (!record) {
+        await ack({
+            response_action: 'errors',
+            errors: { [Object.keys(values)[0]]: 'This suggestion is no longer available.' },
+        });
+        return;
+    }
+
+    // One input per platform draft on the record
+    const drafts = Object.fromEntries(Object.keys(record.suggestion.drafts).map(platformId => [
+        platformId,
+        parseDraftInput(platformId, values[draftBlockId(platformId)]?.value?.value || ''),
+    ]));
+
+    const errors = validateDrafts(drafts);
+    if (Object.keys(errors).length > 0) {
+        await ack({ response_action: 'errors', errors });
+        return;
+    }
+
+    await ack();
+
+    const blocks = formatRecordBlocks(updateSuggestionDrafts(suggestionId, drafts, { userId: body.user?.id }));
+
+    try {
+        if (responseUrl) {
+            await axios.post(responseUrl, { blocks, text: 'Suggestion edited', replace_original: true });
+        } else if (channelId && messageTs) {
+            await client.chat.update({ channel: channelId, ts: messageTs, blocks, text: 'Suggestion edited' });
+        }
+    } catch (error) {
+        console.error('[Handlers] Failed to update edited suggestion message:', error.message);
+    }
+}
+
+/**
+ * Undo Slack's HTML escaping of &, < and > in command text
+ * @param {string} text - Text from a slash command
+ * @returns {string}
+ */
+function unescapeSlackText(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Pull --key=value options (value optionally quoted) off the front of a string
+ * @param {string} text - Raw text
+ * @param {Array<string>} keys - Option names to accept
+ * @returns {Object} - { options: { key: value }, rest }
+ */
+function extractOptions(text, keys) {
+    const options = {};
+    let rest = text.trim();
+    const pattern = new RegExp(`^--(${keys.join('|')})=(?:"([^"]*)"|[“”]([^“”]*)[“”]|(\\S+))\\s*`, 'i');
+
+    let match;
+    while ((match = rest.match(pattern))) {
+        options[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+        rest = rest.slice(match[0].length);
+    }
+
+    return { options, rest };
+}
+
+/**
+ * Handle /chitchatposts prompt set|show|reset
+ * @param {Object} params - { rawArgs, text, teamId, channelId, userId, client, respond }
+ *   rawArgs keeps the original case; template text is taken from text, keeping its line breaks
+ */
+async function handlePromptCommand({ rawArgs, text, teamId, channelId, userId, client, respond }) {
+    const action = (rawArgs[1] || 'show').toLowerCase();
+
+    if (action === 'show') {
+        const template = getChannelTemplate(teamId, channelId);
+        const available = listTemplates(teamId)
+            .map(t => `\`${t.name}\`${t.builtin ? ' (built-in)' : ''}`)
+            .join(', ');
+
+        await respond({
+            text: `*Prompt template for this channel:* \`${template.name}\`\n` +
+                `*Audience:* ${template.audience}\n\n` +
+                `\`\`\`${template.body}\`\`\`\n\n` +
+                `*Available templates:* ${available}\n` +
+                `_Variables: ${TEMPLATE_VARIABLES.map(v => `{${v}}`).join(', ')}_`,
+            response_type: 'ephemeral',
+        });
+        return;
+    }
+
+    if (!['set', 'reset'].includes(action)) {
+        await respond({
+            text: 'Usage:\n' +
+                '• `/chitchatposts prompt show` - Show this channel\'s template\n' +
+                '• `/chitchatposts prompt set <name>` - Use an existing template in this channel\n' +
+                '• `/chitchatposts prompt set <name> [--audience="..."] <text>` - Create/update a template and use it here\n' +
+                '• `/chitchatposts prompt reset` - Go back to the default template',
+            response_type: 'ephemeral',
+        });
+        return;
+    }
+
+    if (!(await isAdminUser(client, userId))) {
+        await respond({
+            text: '⚠️ Only workspace admins can change prompt templates.',
+            response_type: 'ephemeral',
+        });
+        return;
+    }
+
+    if (action === 'reset') {
+        const hadBinding = resetChannelTemplate(teamId, channelId);
+        await respond({
+            text: hadBinding
+                ? '✅ This channel now uses the `default` template.'
+                : 'This channel already uses the `default` template.',
+            response_type: 'ephemeral',
+        });
+        return;
+    }
+
+    const name = rawArgs[2];
+    if (!name) {
+        await respond({
+            text: 'Usage: `/chitchatposts prompt set <name> [--audience="..."] [text]`',
+            response_type: 'ephemeral',
+        });
+        return;
+    }
+
+    // Everything after "prompt set <name>" is optional: --audience="..." then the template text
+    const { options, rest } = extractOptions(
+        unescapeSlackText(text.trim().replace(/^\S+\s+\S+\s+\S+\s*/, '')),
+        ['audience'],
+    );
+    const audience = options.audience || null;
+
+    try {
+        if (rest.trim() || audience) {
+            // An audience-only update keeps the existing template text
+            saveTemplate(teamId, name, {
+                body: rest.trim() || getTemplate(teamId, name)?.body || '',
+                audience,
+            }, { userId });
+        }
+        bindTemplate(teamId, channelId, name);
+
+        await respond({
+            text: `✅ This channel now uses the \`${name}\` template. Run \`/chitchatposts prompt show\` to review it.`,
+            response_type: 'ephemeral',
+        });
+    } catch (error) {
+        await respond({
+            text: `⚠️ ${error.message}`,
+            response_type: 'ephemeral',
+        });
+    }
+}
+
+/**
+ * Describe a voice profile for Slack
+ * @param {Object} profile - Voice profile
+ * @returns {string}
+ */
+function formatVoiceProfile(profile) {
+    const banned = profile.bannedPhrases.length > 0
+        ? profile.bannedPhrases.map(phrase => `"${phrase}"`).join(', ')
+        : 'none';
+
+    return `*${profile.name}*${profile.description ? ` - ${profile.description}` : ''}\n` +
+        `Length: ${profile.length}  •  Emoji: ${profile.emoji}  •  Examples: ${profile.examples.length}\n` +
+        `Banned phrases: ${banned}`;
+}
+
+/**
+ * Handle /chitchatposts voice list|show|set|reset|create|example|delete
+ * @param {Object} params - { rawArgs, text, teamId, channelId, userId, client, respond }
+ *   text is the original command text (example posts keep their line breaks)
+ */
+async function handleVoiceCommand({ rawArgs, text, teamId, channelId, userId, client, respond }) {
+    const action = (rawArgs[1] || 'list').toLowerCase();
+    const name = rawArgs[2];
+    const reply = (message) => respond({ text: message, response_type: 'ephemeral' });
+
+    if (action === 'list') {
+        const profiles = listVoiceProfiles(teamId);
+        const channelVoice = getChannelVoice(teamId, channelId);
+
+        await reply(profiles.length > 0
+            ? `*Voice profiles*\n\n${profiles.map(formatVoiceProfile).join('\n\n')}\n\n` +
+                `_Default voice for this channel: ${channelVoice ? `\`${channelVoice.name}\`` : 'none'}_`
+            : 'No voice profiles yet. Create one with `/chitchatposts voice create <name>`.');
+        return;
+    }
+
+    if (action === 'show') {
+        const profile = name ? getVoiceProfile(teamId, name) : getChannelVoice(teamId, channelId);
+        if (!profile) {
+            await reply(name ? `Voice \`${name}\` not found.` : 'This channel has no default voice.');
+            return;
+        }
+
+        const examples = profile.examples
+            .map((example, idx) => `*Example ${idx + 1}:*\n>${example.replace(/\n/g, '\n>')}`)
+            .join('\n\n');
+        await reply(`${formatVoiceProfile(profile)}${examples ? `\n\n${examples}` : ''}`);
+        return;
+    }
+
+    if (!['set', 'reset', 'create', 'example', 'delete'].includes(action)) {
+        await reply('Usage:\n' +
+            '• `/chitchatposts voice list` - List voice profiles\n' +
+            '• `/chitchatposts voice show [name]` - Show a profile (default: this channel\'s)\n' +
+            '• `/chitchatposts voice create <name> [--length=short|medium|long] [--emoji=none|sparing|any] [--ban="phrase; phrase"] [description]` - Create/update a profile\n' +
+            '• `/chitchatposts voice example <name> <published post>` - Add an example post\n' +
+            '• `/chitchatposts voice set <name>` - Use a voice by default in this channel\n' +
+            '• `/chitchatposts voice reset` - Remove this channel\'s default voice\n' +
+            '• `/chitchatposts voice delete <name>` - Delete a profile\n\n' +
+            '_Pick a voice for one analysis with `--voice=<name>`, e.g. `/chitchatposts analyze --voice=ceo`._');
+        return;
+    }
+
+    if (!(await isAdminUser(client, userId))) {
+        await reply('⚠️ Only workspace admins can change voice profiles.');
+        return;
+    }
+
+    if (action === 'reset') {
+        await reply(resetChannelVoice(teamId, channelId)
+            ? '✅ This channel no longer has a default voice.'
+            : 'This channel has no default voice.');
+        return;
+    }
+
+    if (!name) {
+        await reply(`Usage: \`/chitchatposts voice ${action} <name>\``);
+        return;
+    }
+
+    try {
+        switch (action) {
+            case 'set':
+                setChannelVoice(teamId, channelId, name);
+                await reply(`✅ Drafts in this channel now use the \`${name}\` voice.`);
+                break;
+
+            case 'create': {
+                const { options, rest } = extractOptions(rawArgs.slice(3).join(' '), ['length', 'emoji', 'ban']);
+                const profile = saveVoiceProfile(teamId, name, {
+                    description: rest || undefined,
+                    length: options.length?.toLowerCase(),
+                    emoji: options.emoji?.toLowerCase(),
+                    bannedPhrases: options.ban?.split(';').map(phrase => phrase.trim()).filter(Boolean),
+                }, { userId });
+                await reply(`✅ Saved voice profile:\n\n${formatVoiceProfile(profile)}\n\n` +
+                    `Add published posts with \`/chitchatposts voice example ${name} <post>\`.`);
+                break;
+            }
+
+            case 'example': {
+                // Skip "voice example <name>" but keep the post's original formatting
+                const post = text.trim().replace(/^\S+\s+\S+\s+\S+\s*/, '');
+                const profile = addVoiceExample(teamId, name, post, { userId });
+                await reply(`✅ Added an example to \`${name}\` (${profile.examples.length} total).`);
+                break;
+            }
+
+            case 'delete':
+                await reply(deleteVoiceProfile(teamId, name)
+                    ? `✅ Deleted voice \`${name}\`.`
+                    : `Voice \`${name}\` not found (profiles from VOICE_PROFILES_PATH can't be deleted here).`);
+                break;
+        }
+    } catch (error) {
+        await reply(`⚠️ ${error.message}`);
+    }
+}
+
+/**
+ * Handle /chitchatposts platforms [list|set|reset]
+ * @param {Object} params - { args, teamId, channelId, userId, client, respond }
+ */
+async function handlePlatformsCommand({ args, teamId, channelId, userId, client, respond }) {
+    const action = args[1] || 'list';
+    const reply = (message) => respond({ text: message, response_type: 'ephemeral' });
+
+    if (action === 'list') {
+        const enabled = getChannelPlatforms(teamId, channelId).map(platform => platform.id);
+        const lines = listPlatforms().map(platform =>
+            `${enabled.includes(platform.id) ? '✅' : '▫️'} ${platform.emoji} *${platform.label}* (\`${platform.id}\`, max ${platform.charLimit} chars)`);
+
+        await reply(`*Platforms for this channel*\n\n${lines.join('\n')}\n\n` +
+            '_Change with `/chitchatposts platforms set linkedin,x,bluesky` or `/chitchatposts platforms reset`._');
+        return;
+    }
+
+    if (!['set', 'reset'].includes(action)) {
+        await reply('Usage: `/chitchatposts platforms [list|set <ids>|reset]`');
+        return;
+    }
+
+    if (!(await isAdminUser(client, userId))) {
+        await reply('⚠️ Only workspace admins can change platforms.');
+        return;
+    }
+
+    if (action === 'reset') {
+        resetChannelPlatforms(teamId, channelId);
+        await reply(`✅ This channel now uses the default platforms: ${getChannelPlatforms(teamId, channelId).map(platform => platform.label).join(', ')}.`);
+        return;
+    }
+
+    // Accept "linkedin,x" as well as "linkedin x"
+    const ids = args.slice(2).join(',').split(',').map(id => id.trim()).filter(Boolean);
+    try {
+        const platforms = setChannelPlatforms(teamId, channelId, ids);
+        await reply(`✅ Drafts in this channel are now written for: ${platforms.map(platform => platform.label).join(', ')}.`);
+    } catch (error) {
+        await reply(`⚠️ ${error.message}`);
+    }
+}
+
+/**
+ * Handle /chitchatposts dedup [show|threshold <0-1>|reset]
+ * @param {Object} params - { args, teamId, channelId, userId, client, respond }
+ */
+async function handleDedupCommand({ args, teamId, channelId, userId, client, respond }) {
+    const action = args[1] || 'show';
+    const reply = (message) => respond({ text: message, response_type: 'ephemeral' });
+
+    if (action === 'show') {
+        await reply(`*Duplicate detection for this channel*\n\n` +
+            `Backend: \`${getDedupBackend()}\`\n` +
+            `Threshold: ${getSimilarityThreshold(teamId, channelId)} (ideas at least this similar to a past suggestion are skipped)\n\n` +
+            '_Change with `/chitchatposts dedup threshold 0.85` or `/chitchatposts dedup reset`._');
+        return;
+    }
+
+    if (!['threshold', 'reset'].includes(action)) {
+        await reply('Usage: `/chitchatposts dedup [show|threshold <0-1>|reset]`');
+        return;
+    }
+
+    if (!(await isAdminUser(client, userId))) {
+        await reply('⚠️ Only workspace admins can change duplicate detection.');
+        return;
+    }
+
+    if (action === 'reset') {
+        resetSimilarityThreshold(teamId, channelId);
+        await reply(`✅ This channel now uses the default threshold (${getSimilarityThreshold(teamId, channelId)}).`);
+        return;
+    }
+
+    try {
+        setSimilarityThreshold(teamId, channelId, parseFloat(args[2]));
+        await reply(`✅ Duplicate threshold for this channel set to ${getSimilarityThreshold(teamId, channelId)}.`);
+    } catch (error) {
+        await reply(`⚠️ ${error.message}`);
+    }
+}
+
+/**
+ * Describe a workspace's redaction settings for Slack
+ * @param {Object} settings - Effective settings (see redaction.js)
+ * @returns {string}
+ */
+function formatRedactionSettings(settings) {
+    const keywords = settings.keywords.map(({ label, terms }) => `• \`${label}\`: ${terms.join(', ')}`);
+    const patterns = settings.customPatterns.map(({ label = 'REDACTED', pattern }) => `• \`${label}\`: \`${pattern}\``);
+
+    return `*Redaction for this workspace:* ${settings.enabled ? 'on' : '*off*'}\n\n` +
+        `Detectors: ${settings.detectors.map(name => `\`${name}\``).join(', ') || '_none_'}\n` +
+        `Keyword lists:\n${keywords.join('\n') || '_none_'}\n` +
+        `Custom patterns:\n${patterns.join('\n') || '_none_'}`;
+}
+
+/**
+ * Get the label a keyword list or custom pattern replaces values with
+ * @param {Object} rule - { label }
+ * @returns {string}
+ */
+function ruleLabel(rule) {
+    return (rule.label || 'REDACTED').toUpperCase();
+}
+
+/**
+ * Handle /chitchatposts redaction [show|keywords|pattern|remove|detectors|on|off|reset]
+ * @param {Object} params - { rawArgs, text, teamId, userId, client, respond }
+ *   text keeps the original spacing (patterns and terms may contain spaces)
+ */
+async function handleRedactionCommand({ rawArgs, text, teamId, userId, client, respond }) {
+    const action = (rawArgs[1] || 'show').toLowerCase();
+    const label = rawArgs[2]?.toUpperCase();
+    const reply = (message) => respond({ text: message, response_type: 'ephemeral' });
+
+    if (!['show', 'keywords', 'pattern', 'remove', 'detectors', 'on', 'off', 'reset'].includes(action)) {
+        await reply('Usage:\n' +
+            '• `/chitchatposts redaction show` - Show this workspace\'s redaction settings\n' +
+            '• `/chitchatposts redaction keywords <LABEL> <term>, <term>` - Replace terms with `[LABEL_n]` (e.g. `keywords CUSTOMER Acme Corp, Globex`)\n' +
+            '• `/chitchatposts redaction pattern <LABEL> <regex>` - Replace regex matches with `[LABEL_n]`\n' +
+            '• `/chitchatposts redaction remove <LABEL>` - Remove a keyword list or pattern\n' +
+            `• \`/chitchatposts redaction detectors <name,name>\` - Built-in detectors to run (${listDetectors().join(', ')})\n` +
+            '• `/chitchatposts redaction on|off|reset` - Turn redaction on or off, or go back to the defaults');
+        return;
+    }
+
+    // Keyword lists are often customer names, so even viewing them is admin-only
+    if (!(await isAdminUser(client, userId))) {
+        await reply('⚠️ Only workspace admins can see or change redaction settings.');
+        return;
+    }
+
+    const settings = getRedactionSettings(teamId);
+    // Everything after "redaction <action> <label>", with Slack's HTML escaping undone
+    const value = unescapeSlackText(text.trim().replace(/^\S+\s+\S+\s+\S+\s*/, ''));
+
+    try {
+        switch (action) {
+            case 'show':
+                await reply(formatRedactionSettings(settings));
+                break;
+
+            case 'keywords': {
+                const terms = value.split(',').map(term => term.trim()).filter(Boolean);
+                if (!label || terms.length === 0) {
+                    await reply('Usage: `/chitchatposts redaction keywords <LABEL> <term>, <term>`');
+                    return;
+                }
+                setRedactionSettings(teamId, {
+                    keywords: [...settings.keywords.filter(rule => ruleLabel(rule) !== label), { label, terms }],
+                });
+                await reply(`✅ ${terms.length} term(s) are now replaced with \`[${label}_n]\`.`);
+                break;
+            }
+
+            case 'pattern':
+                if (!label || !value) {
+                    await reply('Usage: `/chitchatposts redaction pattern <LABEL> <regex>`');
+                    return;
+                }
+                setRedactionSettings(teamId, {
+                    customPatterns: [
+                        ...settings.customPatterns.filter(rule => ruleLabel(rule) !== label),
+                        { label, pattern: value, flags: 'i' },
+                    ],
+                });
+                await reply(`✅ Matches of \`${value}\` are now replaced with \`[${label}_n]\`.`);
+                break;
+
+            case 'remove': {
+                const keywords = settings.keywords.filter(rule => ruleLabel(rule) !== label);
+                const customPatterns = settings.customPatterns.filter(rule => ruleLabel(rule) !== label);
+                if (!label || (keywords.length === settings.keywords.length && customPatterns.length === settings.customPatterns.length)) {
+                    await reply(label ? `No keyword list or pattern labelled \`${label}\`.` : 'Usage: `/chitchatposts redaction remove <LABEL>`');
+                    return;
+                }
+                setRedactionSettings(teamId, { keywords, customPatterns });
+                await reply(`✅ Removed \`${label}\`.`);
+                break;
+            }
+
+            case 'detectors': {
+                const detectors = (rawArgs[2] || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+                const names = listDetectors();
+                setRedactionSettings(teamId, { detectors: detectors.map(name => names.find(known => known.toLowerCase() === name) || name) });
+                await reply(`✅ Detectors: ${getRedactionSettings(teamId).detectors.map(name => `\`${name}\``).join(', ') || '_none_'}.`);
+                break;
+            }
+
+            case 'on':
+            case 'off':
+                setRedactionSettings(teamId, { enabled: action === 'on' });
+                await reply(action === 'on'
+                    ? '✅ Messages are redacted before analysis.'
+                    : '⚠️ Redaction is off: messages reach the LLM unredacted.');
+                break;
+
+            case 'reset':
+                resetRedactionSettings(teamId);
+                await reply(`✅ Back to the default redaction settings.\n\n${formatRedactionSettings(getRedactionSettings(teamId))}`);
+                break;
+        }
+    } catch (error) {
+        await reply(`⚠️ ${error.message}`);
+    }
+}
+
+/**
+ * Describe a monitored channel's settings for Slack
+ * @param {Object} channel - Resolved enrollment (see channelEnrollment.js)
+ * @returns {string}
+ */
+function formatEnrollment(channel) {
+    const notes = {
+        config: ' _(from the configuration)_',
+        fallback: ' _(suggestions channel, until channels are enrolled)_',
+    };
+
+    const schedules = channel.windows.map(window => `${window} \`${channel.schedules[window]}\``).join(', ');
+
+    return `<#${channel.channelId}> → ${channel.destinationChannelId ? `<#${channel.destinationChannelId}>` : '_no destination_'}` +
+        `  •  Min messages: ${channel.minMessages}  •  Windows: ${schedules} (${channel.timezone})${notes[channel.source] || ''}`;
+}
+
+/**
+ * Parse a channel reference from a slash command (<#C0123|name>, <#C0123> or C0123)
+ * @param {string} value
+ * @returns {string} - Channel ID (unrecognized values are returned as is, for validation to reject)
+ */
+function parseChannelReference(value) {
+    return value.match(/^<#([CG][A-Z0-9]+)(?:\|[^>]*)?>$/)?.[1] || value;
+}
+
+/**
+ * Handle /chitchatposts watch [--to=#channel] [--min=N] [--windows=6h,24h] [--tz=Area/City]
+ * [--cron-6h="..."] [--cron-24h="..."] and unwatch
+ * Options set to "default" go back to the workspace default.
+ * @param {Object} params - { rawArgs, teamId, channelId, userId, client, respond }
+ *   rawArgs keeps the original case (channel IDs are uppercase)
+ */
+async function handleWatchCommand({ rawArgs, teamId, channelId, userId, client, respond }) {
+    const action = rawArgs[0].toLowerCase();
+    const reply = (message) => respond({ text: message, response_type: 'ephemeral' });
+
+    if (!(await isAdminUser(client, userId))) {
+        await reply('⚠️ Only workspace admins can change which channels are analyzed.');
+        return;
+    }
+
+    if (action === 'unwatch') {
+        const wasMonitored = unwatchChannel(teamId, channelId, { userId });
+        syncSchedules();
+        await reply(wasMonitored
+            ? '✅ Scheduled analysis no longer reads this channel.'
+            : 'This channel isn\'t monitored.');
+        return;
+    }
+
+    // undefined keeps the current value, null goes back to the default
+    const setting = (value, parse) => {
+        if (value === undefined) return undefined;
+        return value.toLowerCase() === 'default' ? null : parse(value);
+    };
+
+    const cronOptions = ANALYSIS_WINDOWS.map(window => `cron-${window}`);
+    const { options, rest } = extractOptions(rawArgs.slice(1).join(' '), ['to', 'min', 'windows', 'tz', ...cronOptions]);
+    if (rest) {
+        await reply('Usage: `/chitchatposts watch [--to=#channel] [--min=<messages>] ' +
+            `[--windows=${ANALYSIS_WINDOWS.join(',')}] [--tz=Asia/Kolkata] ` +
+            `${cronOptions.map(option => `[--${option}="<cron>"]`).join(' ')}\`\n\n` +
+            '_Set an option to `default` to use the workspace default. Example: `--tz=Asia/Kolkata --cron-24h="0 18 * * 1-5"` ' +
+            'sends the daily summary at 6pm Bangalore time on weekdays._');
+        return;
+    }
+
+    // Only the schedules given are changed
+    const schedules = Object.fromEntries(ANALYSIS_WINDOWS
+        .filter(window => options[`cron-${window}`] !== undefined)
+        .map(window => [window, setting(options[`cron-${window}`], value => value.trim())]));
+
+    try {
+        const channel = watchChannel(teamId, channelId, {
+            destinationChannelId: setting(options.to, parseChannelReference),
+            minMessages: setting(options.min, value => Number(value)),
+            windows: setting(options.windows, value => value.toLowerCase().split(',').map(window => window.trim()).filter(Boolean)),
+            timezone: setting(options.tz, value => value),
+            schedules,
+        }, { userId });
+        syncSchedules();
+
+        await reply(`✅ Scheduled analysis now reads this channel:\n${formatEnrollment(channel)}\n\n` +
+            '_Make sure the bot is a member of this channel so it can read its history._');
+    } catch (error) {
+        await reply(`⚠️ ${error.message}`);
+    }
+}
+
+/**
+ * Handle /chitchatposts channels
+ * @param {Object} params - { teamId, channelId, respond }
+ */
+async function handleChannelsCommand({ teamId, channelId, respond }) {
+    const channels = listMonitoredChannels(teamId);
+    const here = getChannelEnrollment(teamId, channelId);
+
+    await respond({
+        text: channels.length > 0
+            ? `*Channels read by scheduled analysis*\n\n${channels.map(formatEnrollment).join('\n')}\n\n` +
+                `_This channel is ${here ? '' : 'not '}monitored. Change with \`/chitchatposts watch\` or \`/chitchatposts unwatch\`._`
+            : 'No channels are monitored yet. Run `/chitchatposts watch` in a channel to enroll it.',
+        response_type: 'ephemeral',
+    });
+}
+
+/**
+ * Describe a queued or recent job for Slack
+ * @param {Object} job - Job status (see jobQueue.js)
+ * @returns {string}
+ */
+function formatJob(job) {
+    const icons = {
+        queued: '⏳',
+        running: '▶️',
+        succeeded: '✅',
+        failed: '⚠️',
+        cancelled: '⏹️',
+        timed_out: '⌛',
+        skipped: '⏭️',
+    };
+    const since = Math.floor((job.startedAt || job.createdAt) / 1000);
+
+    return `${icons[job.status] || '•'} \`${job.id}\` *${job.status.replace('_', ' ')}*  •  ${job.source || job.name}` +
+        `${job.channelId ? ` in <#${job.channelId}>` : ''}  •  <!date^${since}^{date_short_pretty} {time}|${new Date(since * 1000).toISOString()}>` +
+        `${job.requestedBy ? `  •  by <@${job.requestedBy}>` : ''}${job.error && job.status === 'failed' ? `\n    _${job.error}_` : ''}`;
+}
+
+/**
+ * Handle /chitchatposts jobs [cancel <id>]
+ * @param {Object} params - { rawArgs, teamId, userId, client, respond }
+ */
+async function handleJobsCommand({ rawArgs, teamId, userId, client, respond }) {
+    const action = (rawArgs[1] || 'list').toLowerCase();
+    const reply = (message) => respond({ text: message, response_type: 'ephemeral' });
+
+    if (!['list', 'cancel'].includes(action)) {
+        await reply('Usage: `/chitchatposts jobs [list|cancel <job id>]`');
+        return;
+    }
+
+    if (!(await isAdminUser(client, userId))) {
+        await reply('⚠️ Only workspace admins can see and cancel analysis jobs.');
+        return;
+    }
+
+    if (action === 'list') {
+        const jobs = listJobs({ teamId });
+        const active = jobs.filter(job => ['queued', 'running'].includes(job.status));
+        const recent = jobs.filter(job => !active.includes(job)).slice(0, 10);
+
+        await reply(`*Running and queued analyses*\n\n${active.length > 0 ? active.map(formatJob).join('\n') : '_None_'}` +
+            `${recent.length > 0 ? `\n\n*Recent*\n\n${recent.map(formatJob).join('\n')}` : ''}\n\n` +
+            '_Cancel with `/chitchatposts jobs cancel <job id>`._');
+        return;
+    }
+
+    const id = rawArgs[2];
+    if (!id) {
+        await reply('Usage: `/chitchatposts jobs cancel <job id>`');
+        return;
+    }
+
+    try {
+        const job = cancelJob(id, { userId, teamId });
+        await reply(job ? `✅ Cancelled job \`${id}\`.` : `Job \`${id}\` not found.`);
+    } catch (error) {
+        await reply(`⚠️ ${error.message}`);
+    }
+}
+
 /**
  * Handle /chitchatposts slash command
  */
-async function handleSlashCommand({ command, ack, respond, client }) {
+async function handleSlashCommand({ command, ack, respond, client, context }) {
     // Acknowledge immediately
     await ack();
 
-    const { channel_id: channelId, text } = command;
-    const args = text.trim().toLowerCase().split(/\s+/);
-    const subcommand = args[0] || 'help';
+    // The installing workspace, like handleMessage (in Slack Connect channels command.team_id is the user's)
+    const { teamId } = context;
+    const { channel_id: channelId, user_id: userId, text } = command;
+    const rawArgs = text.trim().split(/\s+/);
+    const subcommand = rawArgs[0]?.toLowerCase() || 'help';
+
+    // Management subcommands don't need the LLM
+    if (subcommand === 'prompt') {
+        await handlePromptCommand({ rawArgs, text, teamId, channelId, userId, client, respond });
+        return;
+    }
+    if (subcommand === 'voice') {
+        await handleVoiceCommand({ rawArgs, text, teamId, channelId, userId, client, respond });
+        return;
+    }
+
+    if (subcommand === 'platforms') {
+        await handlePlatformsCommand({ args: rawArgs.map(arg => arg.toLowerCase()), teamId, channelId, userId, client, respond });
+        return;
+    }
+    if (subcommand === 'dedup') {
+        await handleDedupCommand({ args: rawArgs.map(arg => arg.toLowerCase()), teamId, channelId, userId, client, respond });
+        return;
+    }
+    if (subcommand === 'watch' || subcommand === 'unwatch') {
+        await handleWatchCommand({ rawArgs, teamId, channelId, userId, client, respond });
+        return;
+    }
+    if (subcommand === 'channels') {
+        await handleChannelsCommand({ teamId, channelId, respond });
+        return;
+    }
+    if (subcommand === 'jobs') {
+        await handleJobsCommand({ rawArgs, teamId, userId, client, respond });
+        return;
+    }
+    if (subcommand === 'redaction') {
+        await handleRedactionCommand({ rawArgs, text, teamId, userId, client, respond });
+        return;
+    }
+
+    // Analysis options (e.g. --voice=ceo) may appear anywhere after the subcommand
+    const { options } = extractOptions(rawArgs.filter(arg => arg.startsWith('--')).join(' '), ['voice']);
+    const voice = options.voice || null;
+    const args = rawArgs.filter(arg => !arg.startsWith('--')).map(arg => arg.toLowerCase());
+
+    if (voice && !getVoiceProfile(teamId, voice)) {
+        await respond({
+            text: `⚠️ Voice \`${voice}\` not found. Run \`/chitchatposts voice list\` to see available voices.`,
+            response_type: 'ephemeral',
+        });
+        return;
+    }
 
     // Check if LLM is configured
     if (!isConfigured()) {
         await respond({
-            text: `⚠️ LLM not configured. Please set ${LLM_PROVIDER === 'claude' ? 'CLAUDE_API_KEY' : 'OPENAI_API_KEY'} in your environment.`,
+            text: `⚠️ LLM not configured. Please set ${getRequiredEnv().join(', ') || 'a valid LLM_PROVIDER'} in your environment.`,
             response_type: 'ephemeral',
         });
         return;
@@ -208,7 +1202,7 @@ async function handleSlashCommand({ command, ack, respond, client }) {
     switch (subcommand) {
         case 'analyze': {
             // Analyze real-time buffer
-            const messages = getMessages(channelId);
+            const messages = getMessages(teamId, channelId);
 
             if (messages.length < MIN_MESSAGES_FOR_ANALYSIS) {
                 await respond({
@@ -218,12 +1212,14 @@ async function handleSlashCommand({ command, ack, respond, client }) {
                 return;
             }
 
-            await respond({
-                text: '🔍 Analyzing conversation...',
-                response_type: 'ephemeral',
-            });
+            await runCommandJob({ teamId, channelId, userId, source: 'Real-time buffer', respond }, async (signal) => {
+                await respond({
+                    text: '🔍 Analyzing conversation...',
+                    response_type: 'ephemeral',
+                });
 
-            await performAnalysis(messages, respond, { source: 'Real-time buffer' });
+                await performAnalysis(messages, respond, { source: 'Real-time buffer', channelId, teamId, client, voice, signal });
+            });
             break;
         }
 
@@ -248,45 +1244,72 @@ async function handleSlashCommand({ command, ack, respond, client }) {
                 return;
             }
 
-            await respond({
-                text: `🔍 Fetching messages from the last ${timeArg}...`,
-                response_type: 'ephemeral',
-            });
-
-            try {
-                const messages = await fetchHistoryByTime(client, channelId, timeArg);
-                await performAnalysis(messages, respond, { source: `Last ${timeArg}` });
-            } catch (error) {
-                console.error('[SlashCommand] History fetch error:', error);
+            await runCommandJob({ teamId, channelId, userId, source: `Last ${timeArg}`, respond }, async (signal) => {
                 await respond({
-                    text: `⚠️ ${error.message}`,
+                    text: `🔍 Fetching messages from the last ${timeArg}...`,
                     response_type: 'ephemeral',
-                    replace_original: true,
                 });
-            }
+
+                try {
+                    const messages = await fetchHistoryByTime(client, channelId, timeArg, { teamId, signal });
+                    await performAnalysis(messages, respond, { source: `Last ${timeArg}`, channelId, teamId, client, voice, signal });
+                } catch (error) {
+                    console.error('[SlashCommand] History fetch error:', error);
+                    await respond({
+                        text: `⚠️ ${error.message}`,
+                        response_type: 'ephemeral',
+                        replace_original: true,
+                    });
+                }
+            });
             break;
         }
 
         case 'sync': {
-            // Fetch messages since last sync
-            const lastSync = getLastSyncTimestamp(channelId);
+            // Fetch messages since last sync (the checkpoint is read and moved inside the channel's job)
+            await runCommandJob({ teamId, channelId, userId, source: 'Sync', respond }, async (signal) => {
+                const lastSync = getLastSyncTimestamp(teamId, channelId);
+
+                if (!lastSync) {
+                    await respond({
+                        text: '🔄 No previous sync found. Fetching last 4 hours instead...',
+                        response_type: 'ephemeral',
+                    });
+
+                    try {
+                        const messages = await fetchHistoryByTime(client, channelId, '4h', { teamId, signal });
+
+                        // Update sync timestamp to now
+                        if (messages.length > 0) {
+                            updateSyncTimestamp(teamId, channelId, getLatestTimestamp(messages));
+                        }
+
+                        await performAnalysis(messages, respond, { source: 'Initial sync (4h)', channelId, teamId, client, voice, signal });
+                    } catch (error) {
+                        console.error('[SlashCommand] Sync error:', error);
+                        await respond({
+                            text: `⚠️ ${error.message}`,
+                            response_type: 'ephemeral',
+                            replace_original: true,
+                        });
+                    }
+                    return;
+                }
 
-            if (!lastSync) {
                 await respond({
-                    text: '🔄 No previous sync found. Fetching last 4 hours instead...',
+                    text: `🔄 Syncing messages since last checkpoint...`,
                     response_type: 'ephemeral',
                 });
 
                 try {
-                    const messages = await fetchHistoryByTime(client, channelId, '4h');
+                    const messages = await fetchMessagesSince(client, channelId, lastSync, { teamId, signal });
 
-                    // Update sync timestamp to now
+                    // Update sync timestamp
                     if (messages.length > 0) {
-                        const latestTs = messages[messages.length - 1].timestamp;
-                        updateSyncTimestamp(channelId, latestTs);
+                        updateSyncTimestamp(teamId, channelId, getLatestTimestamp(messages));
                     }
 
-                    await performAnalysis(messages, respond, { source: 'Initial sync (4h)' });
+                    await performAnalysis(messages, respond, { source: 'Sync update', channelId, teamId, client, voice, signal });
                 } catch (error) {
                     console.error('[SlashCommand] Sync error:', error);
                     await respond({
@@ -295,32 +1318,7 @@ async function handleSlashCommand({ command, ack, respond, client }) {
                         replace_original: true,
                     });
                 }
-                return;
-            }
-
-            await respond({
-                text: `🔄 Syncing messages since last checkpoint...`,
-                response_type: 'ephemeral',
             });
-
-            try {
-                const messages = await fetchMessagesSince(client, channelId, lastSync);
-
-                // Update sync timestamp
-                if (messages.length > 0) {
-                    const latestTs = messages[messages.length - 1].timestamp;
-                    updateSyncTimestamp(channelId, latestTs);
-                }
-
-                await performAnalysis(messages, respond, { source: 'Sync update' });
-            } catch (error) {
-                console.error('[SlashCommand] Sync error:', error);
-                await respond({
-                    text: `⚠️ ${error.message}`,
-                    response_type: 'ephemeral',
-                    replace_original: true,
-                });
-            }
             break;
         }
 
@@ -330,7 +1328,16 @@ async function handleSlashCommand({ command, ack, respond, client }) {
                 text: `*ChitChatPosts Commands*\n\n` +
                     `• \`/chitchatposts analyze\` - Analyze real-time conversation buffer\n` +
                     `• \`/chitchatposts history 1h\` - Analyze last 1 hour (also: 4h, 1d)\n` +
-                    `• \`/chitchatposts sync\` - Sync and analyze since last checkpoint\n\n` +
+                    `• \`/chitchatposts sync\` - Sync and analyze since last checkpoint\n` +
+                    `• \`/chitchatposts prompt show|set|reset\` - Manage this channel's prompt template\n` +
+                    `• \`/chitchatposts voice list|show|set|create|example\` - Manage brand voice profiles\n` +
+                    `• \`/chitchatposts platforms list|set|reset\` - Choose which platforms get drafts here\n` +
+                    `• \`/chitchatposts dedup show|threshold|reset\` - Tune duplicate detection for this channel\n` +
+                    `• \`/chitchatposts watch|unwatch\` - Add or remove this channel from scheduled analysis\n` +
+                    `• \`/chitchatposts channels\` - List the channels scheduled analysis reads\n` +
+                    `• \`/chitchatposts jobs [cancel <id>]\` - See running analyses and cancel them\n` +
+                    `• \`/chitchatposts redaction show|keywords|pattern|detectors\` - Control what is redacted before analysis\n\n` +
+                    `_Add \`--voice=<name>\` to analyze, history or sync to draft in a specific voice._\n` +
                     `_All suggestions require human review before posting._`,
                 response_type: 'ephemeral',
             });
@@ -338,6 +1345,25 @@ async function handleSlashCommand({ command, ack, respond, client }) {
     }
 }
 
+/**
+ * Forget a workspace's installation when the app is uninstalled or its tokens are revoked
+ */
+async function handleUninstall({ event, context }) {
+    // tokens_revoked also fires for user tokens, which the bot doesn't use
+    if (event.type === 'tokens_revoked' && !event.tokens?.bot?.length) return;
+
+    const query = {
+        teamId: context.teamId,
+        enterpriseId: context.enterpriseId,
+        isEnterpriseInstall: context.isEnterpriseInstall,
+    };
+
+    const installation = await installationStore.fetchInstallation(query).catch(() => null);
+    if (installation?.bot?.token) forgetHistoryClient(installation.bot.token);
+
+    await installationStore.deleteInstallation(query);
+}
+
 /**
  * Register all Slack handlers with the Bolt app
  * @param {App} app - Slack Bolt app instance
@@ -349,5 +1375,19 @@ export function registerSlackHandlers(app) {
     // Listen to slash command
     app.command('/chitchatposts', handleSlashCommand);
 
+    // Listen to suggestion lifecycle buttons
+    for (const actionId of Object.values(SUGGESTION_ACTIONS)) {
+        app.action(actionId, handleSuggestionAction);
+    }
+
+    // Listen to the edit-draft button and modal
+    app.action(SUGGESTION_EDIT_ACTION, handleEditAction);
+    app.action(SUGGESTION_REVEAL_ACTION, handleRevealAction);
+    app.view(SUGGESTION_EDIT_MODAL, handleEditSubmission);
+
+    // Listen to uninstalls (OAuth installations are removed from the store)
+    app.event('app_uninstalled', handleUninstall);
+    app.event('tokens_revoked', handleUninstall);
+
     console.log('[Handlers] Slack handlers registered');
 }
@@ -6,13 +6,17 @@
  */
 
 import 'dotenv/config';
-import { App } from '@slack/bolt';
+import { App, SocketModeReceiver } from '@slack/bolt';
 import { registerSlackHandlers } from './handlers/slackHandlers.js';
 import { isConfigured, LLM_PROVIDER } from './services/llm.js';
 import { initScheduler } from './jobs/scheduler.js';
+import createApp from './app.js';
+import { trackSocketMode } from './services/health.js';
+import { authorize, registerTokenWorkspace, listWorkspaces, OAUTH_ENABLED } from './services/workspaces.js';
+import { flush } from './services/persistence.js';
 
 // Validate required environment variables
-const requiredEnvVars = ['SLACK_BOT_TOKEN', 'SLACK_SIGNING_SECRET', 'SLACK_APP_TOKEN'];
+const requiredEnvVars = ['SLACK_SIGNING_SECRET', 'SLACK_APP_TOKEN'];
 const missingEnvVars = requiredEnvVars.filter(v => !process.env[v]);
 
 if (missingEnvVars.length > 0) {
@@ -21,26 +25,59 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+// A bot token, OAuth installs, or both (the token workspace plus installed partner workspaces)
+if (!process.env.SLACK_BOT_TOKEN && !OAUTH_ENABLED) {
+  console.error('❌ Set SLACK_BOT_TOKEN, or SLACK_CLIENT_ID, SLACK_CLIENT_SECRET and SLACK_STATE_SECRET to install via OAuth.');
+  process.exit(1);
+}
+
 // Initialize Slack Bolt app with Socket Mode
-const app = new App({
-  token: process.env.SLACK_BOT_TOKEN,
-  signingSecret: process.env.SLACK_SIGNING_SECRET,
-  socketMode: true,
+// Each event is authorized with the bot token of the workspace it came from
+const receiver = new SocketModeReceiver({
   appToken: process.env.SLACK_APP_TOKEN,
 });
 
+const app = new App({
+  authorize,
+  receiver,
+});
+
+// Follow the Socket Mode connection for /health/live and /health/ready
+trackSocketMode(receiver.client);
+
 // Register message and command handlers
 registerSlackHandlers(app);
 
+// Write pending state before shutting down
+process.on('exit', flush);
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    console.log(`${signal} received, shutting down`);
+    process.exit(0);
+  });
+}
+
 const PORT = process.env.PORT || 3000;
 const CRON_ENABLED = process.env.CRON_ENABLED === 'true';
+const API_ENABLED = !!process.env.API_KEYS?.trim();
 
 (async () => {
   try {
+    if (process.env.SLACK_BOT_TOKEN) {
+      await registerTokenWorkspace(process.env.SLACK_BOT_TOKEN);
+    }
+
     await app.start(PORT);
 
-    // Initialize scheduler with the Slack client
-    initScheduler(app.client);
+    // Initialize scheduler (it gets a Slack client per workspace)
+    initScheduler();
+
+    const workspaceCount = listWorkspaces().length;
+
+    // HTTP server for /health and the REST API (Socket Mode doesn't use the port)
+    await new Promise((resolve, reject) => {
+      createApp().listen(PORT, resolve).on('error', reject);
+    });
 
     console.log(`
 ╔══════════════════════════════════════════════════════════╗
@@ -49,6 +86,8 @@ const CRON_ENABLED = process.env.CRON_ENABLED === 'true';
 ║                                                          ║
 ║   Mode: Socket Mode (real-time events)                   ║
 ║   Port: ${PORT}                                            ║
+║   Workspaces: ${`${workspaceCount}${OAUTH_ENABLED ? ' (+ OAuth installs at /slack/install)' : ''}`.padEnd(43)}║
+║   HTTP API: ${API_ENABLED ? '✅ Enabled' : '⚠️  Disabled'} ${' '.repeat(40 - (API_ENABLED ? 10 : 11))}║
 ║   LLM Provider: ${LLM_PROVIDER.padEnd(40)}║
 ║   LLM Configured: ${isConfigured() ? '✅ Yes' : '⚠️  No (set API key)'} ${' '.repeat(32 - (isConfigured() ? 6 : 21))}║
 ║   Cron Jobs: ${CRON_ENABLED ? '✅ Enabled' : '⚠️  Disabled'} ${' '.repeat(39 - (CRON_ENABLED ? 10 : 11))}║
@@ -2,32 +2,71 @@
  * Scheduler Service
  * 
  * Cron jobs for automated analysis:
- * - Every 6 hours: Analyze recent messages
- * - Daily at midnight: Comprehensive summary
+ * - 6-hour analysis: Analyze recent messages (default: every 6 hours)
+ * - Daily summary: Comprehensive summary (default: midnight)
+ *
+ * Each monitored channel has its own cron expression per analysis window and timezone
+ * (see channelEnrollment.js). One cron task runs per distinct schedule; the channels due
+ * in the same tick are merged into one run, where each channel is analyzed once, for its
+ * longest due window. Channels are analyzed as queued jobs (see jobQueue.js), so a slow run
+ * never overlaps the next tick or a slash command on the same channel.
  */
 
 import cron from 'node-cron';
-import { fetchSlackHistory } from '../services/slackHistory.js';
+import { randomUUID } from 'crypto';
+import { fetchSlackHistory, getLatestTimestamp } from '../services/slackHistory.js';
 import { analyzeConversation, isConfigured } from '../services/llm.js';
 import { checkDuplicate } from '../services/deduplication.js';
-import { storeSuggestion, getLastAnalyzedTs, setLastAnalyzedTs } from '../services/suggestionStore.js';
+import { humanizeMessages, getChannelName } from '../services/slackDirectory.js';
+import {
+    storeSuggestion,
+    getLastAnalyzedTs,
+    setLastAnalyzedTs,
+    getExpiredSnoozes,
+    updateSuggestionStatus,
+} from '../services/suggestionStore.js';
+import { formatLifecycleBlocks, formatScore, formatDraftBlocks } from '../utils/suggestionBlocks.js';
+import { recordJobRun } from '../services/metrics.js';
+import { listWorkspaces, getWorkspaceClient } from '../services/workspaces.js';
+import { listMonitoredChannels, getDestinationChannel } from '../services/channelEnrollment.js';
+import { enqueueJob } from '../services/jobQueue.js';
 
 // Configuration
-const SUGGESTIONS_CHANNEL_ID = process.env.SUGGESTIONS_CHANNEL_ID;
-const MONITORED_CHANNELS = process.env.MONITORED_CHANNELS?.split(',').map(c => c.trim()).filter(Boolean) || [];
 const CRON_ENABLED = process.env.CRON_ENABLED === 'true';
-const MIN_MESSAGES_FOR_ANALYSIS = parseInt(process.env.MIN_MESSAGES_FOR_ANALYSIS, 10) || 5;
 
-// Store reference to Slack client
-let slackClient = null;
+// Scheduled job of each analysis window (channels opt in per window, see channelEnrollment.js)
+const WINDOW_JOBS = {
+    '6h': { job: 'six_hour', hoursBack: 6, source: '6-hour analysis' },
+    '24h': { job: 'daily', hoursBack: 24, source: 'Daily summary' },
+};
+
+// How long to wait for other schedules firing in the same tick before running
+const TICK_MERGE_MS = 2000;
+
+// Whether initScheduler has run
+let initialized = false;
+
+// Whether the cron jobs were scheduled
+let cronActive = false;
+
+// Cron task per distinct schedule: { "timezone cron": ScheduledTask }
+const scheduleTasks = new Map();
+
+// Schedules that fired in the current tick, and the timer that runs them
+let firedSchedules = new Set();
+let tickTimer = null;
+
+// Run status per job: { job: { running, lastStartedAt, lastFinishedAt, lastOutcome, lastDurationMs } }
+const jobStatus = new Map();
 
 /**
  * Format suggestion as Slack blocks for posting
- * @param {Object} analysis - LLM analysis result
+ * @param {Object} analysis - A single idea { title, score, reasoning, drafts }
  * @param {string} source - Source description (e.g., "6-hour analysis")
+ * @param {Object} record - Stored suggestion record (adds status + action buttons)
  * @returns {Array} - Slack blocks
  */
-function formatSuggestionBlocks(analysis, source) {
+export function formatSuggestionBlocks(analysis, source, record = null) {
     return [
         {
             type: 'header',
@@ -50,29 +89,11 @@ function formatSuggestionBlocks(analysis, source) {
             type: 'section',
             text: {
                 type: 'mrkdwn',
-                text: `*Why this works:*\n${analysis.reasoning}`,
-            },
-        },
-        {
-            type: 'divider',
-        },
-        {
-            type: 'section',
-            text: {
-                type: 'mrkdwn',
-                text: `*📝 LinkedIn Draft:*\n\n${analysis.linkedInDraft}`,
-            },
-        },
-        {
-            type: 'divider',
-        },
-        {
-            type: 'section',
-            text: {
-                type: 'mrkdwn',
-                text: `*𝕏 Twitter/X Draft:*\n\n${analysis.xDraft}`,
+                text: `*${analysis.title}*${formatScore(analysis.score)}\n\n*Why this works:*\n${analysis.reasoning}`,
             },
         },
+        ...formatDraftBlocks(analysis.drafts),
+        ...formatLifecycleBlocks(record),
         {
             type: 'context',
             elements: [
@@ -86,166 +107,380 @@ function formatSuggestionBlocks(analysis, source) {
 }
 
 /**
- * Post suggestion to the suggestions channel
- * @param {Object} analysis - LLM analysis result
+ * Post suggestion to its channel's destination (by default the workspace's suggestions channel)
+ * @param {Object} record - Stored suggestion record
  * @param {string} source - Source description
  */
-async function postSuggestion(analysis, source) {
-    if (!SUGGESTIONS_CHANNEL_ID) {
-        console.warn('[Scheduler] SUGGESTIONS_CHANNEL_ID not configured, skipping post');
+async function postSuggestion(record, source) {
+    const destinationChannelId = getDestinationChannel(record.teamId, record.channelId);
+    if (!destinationChannelId) {
+        console.warn(`[Scheduler] No destination channel for ${record.teamId}/${record.channelId}, skipping post`);
         return;
     }
 
-    if (!slackClient) {
-        console.warn('[Scheduler] Slack client not initialized');
+    const client = getWorkspaceClient(record.teamId);
+    if (!client) {
+        console.warn(`[Scheduler] Workspace ${record.teamId} is not installed, skipping post`);
         return;
     }
 
     try {
-        await slackClient.chat.postMessage({
-            channel: SUGGESTIONS_CHANNEL_ID,
-            blocks: formatSuggestionBlocks(analysis, source),
+        await client.chat.postMessage({
+            channel: destinationChannelId,
+            blocks: formatSuggestionBlocks(record.suggestion, source, record),
             text: '💡 New post suggestion available',
         });
-        console.log(`[Scheduler] Posted suggestion to ${SUGGESTIONS_CHANNEL_ID}`);
+        console.log(`[Scheduler] Posted suggestion to ${record.teamId}/${destinationChannelId}`);
     } catch (error) {
         console.error('[Scheduler] Failed to post suggestion:', error.message);
     }
 }
 
 /**
- * Analyze messages from a specific time range
+ * Move a workspace's suggestions whose snooze has ended back to pending and re-post them
+ * @param {string} teamId - Slack team ID
+ */
+async function resurfaceSnoozedSuggestions(teamId) {
+    for (const snoozed of getExpiredSnoozes(teamId)) {
+        const record = updateSuggestionStatus(snoozed.id, 'pending');
+        const source = `Snoozed suggestion${record.source ? ` (${record.source})` : ''}`;
+        await postSuggestion(record, source);
+    }
+}
+
+/**
+ * Analyze one monitored channel (runs as a job, see jobQueue.js)
+ * @param {string} teamId - Slack team ID
+ * @param {Object} channel - Resolved enrollment { channelId, minMessages }
  * @param {number} hoursBack - How many hours to look back
  * @param {string} source - Source description for logging
+ * @param {AbortSignal} signal - Aborted when the job is cancelled or times out
  */
-async function runAnalysis(hoursBack, source) {
-    if (!slackClient) {
-        console.warn('[Scheduler] Slack client not initialized, skipping analysis');
+async function analyzeChannel(teamId, { channelId, minMessages }, hoursBack, source, signal) {
+    const slackClient = getWorkspaceClient(teamId);
+    const oldestSeconds = Math.floor(Date.now() / 1000) - (hoursBack * 60 * 60);
+
+    // Fetch messages
+    const messages = await fetchSlackHistory(slackClient, channelId, oldestSeconds, null, { teamId, signal });
+
+    if (messages.length < minMessages) {
+        console.log(`[Scheduler] Not enough messages in ${channelId} (${messages.length}/${minMessages})`);
         return;
     }
 
-    if (!isConfigured()) {
-        console.warn('[Scheduler] LLM not configured, skipping analysis');
+    // Check if we already analyzed up to the latest message
+    const latestTs = getLatestTimestamp(messages);
+    const lastAnalyzedTs = getLastAnalyzedTs(teamId, channelId);
+
+    if (lastAnalyzedTs && parseFloat(latestTs) <= parseFloat(lastAnalyzedTs)) {
+        console.log(`[Scheduler] Skipping ${channelId} - No new messages since last analysis`);
         return;
     }
 
-    const channels = MONITORED_CHANNELS.length > 0
-        ? MONITORED_CHANNELS
-        : [SUGGESTIONS_CHANNEL_ID]; // Fallback to suggestions channel
+    // Analyze
+    signal.throwIfAborted();
+    const channelName = await getChannelName(slackClient, channelId);
+    const analysis = await analyzeConversation(await humanizeMessages(slackClient, messages), {
+        teamId,
+        channelId,
+        channelName,
+        signal,
+    });
 
-    console.log(`[Scheduler] Running ${source} for ${channels.length} channel(s)`);
+    // A cancelled analysis leaves the checkpoint alone, so the next run retries it
+    signal.throwIfAborted();
 
-    const nowSeconds = Math.floor(Date.now() / 1000);
-    const oldestSeconds = nowSeconds - (hoursBack * 60 * 60);
+    // Update checkpoint immediately to avoid re-analysis
+    setLastAnalyzedTs(teamId, channelId, latestTs);
 
-    for (const channelId of channels) {
-        if (!channelId) continue;
+    if (!analysis.isPostWorthy || analysis.error) {
+        console.log(`[Scheduler] No post-worthy content in ${channelId}`);
+        return;
+    }
 
-        try {
-            // Fetch messages
-            const messages = await fetchSlackHistory(slackClient, channelId, oldestSeconds);
+    // Dedup, store and post each idea on its own
+    const batchId = randomUUID();
+    for (const idea of analysis.ideas) {
+        const { isDuplicate, similarity } = await checkDuplicate(idea, { teamId, channelId });
+        if (isDuplicate) {
+            console.log(`[Scheduler] Skipping duplicate "${idea.title}" (${(similarity * 100).toFixed(1)}% similar)`);
+            continue;
+        }
 
-            if (messages.length < MIN_MESSAGES_FOR_ANALYSIS) {
-                console.log(`[Scheduler] Not enough messages in ${channelId} (${messages.length}/${MIN_MESSAGES_FOR_ANALYSIS})`);
-                continue;
-            }
+        const record = storeSuggestion(idea, {
+            teamId,
+            channelId,
+            channelName,
+            source,
+            origin: 'scheduler',
+            batchId,
+            similarity,
+            redactions: analysis.redactions,
+            voice: analysis.voice,
+        });
+        if (record) {
+            await postSuggestion(record, source);
+        }
+    }
+}
 
-            // Check if we already analyzed up to the latest message
-            const latestMessage = messages[messages.length - 1];
-            const lastAnalyzedTs = getLastAnalyzedTs(channelId);
+/**
+ * Analyze one workspace's monitored channels from a specific time range
+ * Each channel is queued as its own job; channels that already have a job are skipped.
+ * @param {string} job - Job name
+ * @param {string} teamId - Slack team ID
+ * @param {number} hoursBack - How many hours to look back
+ * @param {string} source - Source description for logging
+ * @param {Set<string>} channelIds - Channels due in this run (null analyzes every monitored channel)
+ * @returns {Promise<number|null>} - Number of channels that failed, or null if no channel was due
+ */
+async function analyzeWorkspace(job, teamId, hoursBack, source, channelIds = null) {
+    await resurfaceSnoozedSuggestions(teamId);
+
+    const channels = listMonitoredChannels(teamId).filter(channel => {
+        if (channelIds && !channelIds.has(channel.channelId)) return false;
+        if (!channel.destinationChannelId) {
+            console.log(`[Scheduler] No destination channel for ${teamId}/${channel.channelId}, skipping`);
+            return false;
+        }
+        return true;
+    });
 
-            if (lastAnalyzedTs && parseFloat(latestMessage.timestamp) <= parseFloat(lastAnalyzedTs)) {
-                console.log(`[Scheduler] Skipping ${channelId} - No new messages since last analysis`);
-                continue;
-            }
+    if (channels.length === 0) return null;
 
-            // Analyze
-            const analysis = await analyzeConversation(messages);
+    console.log(`[Scheduler] Running ${source} for ${channels.length} channel(s) in ${teamId}`);
 
-            // Update checkpoint immediately to avoid re-analysis
-            setLastAnalyzedTs(channelId, latestMessage.timestamp);
+    const results = await Promise.allSettled(channels.map(channel => enqueueJob({
+        name: job,
+        teamId,
+        channelId: channel.channelId,
+        source,
+        run: (signal) => analyzeChannel(teamId, channel, hoursBack, source, signal),
+        skipIfBusy: true,
+    }).result));
 
+    let failedChannels = 0;
+    results.forEach((result, idx) => {
+        if (result.status === 'rejected') {
+            console.error(`[Scheduler] Error analyzing ${channels[idx].channelId}:`, result.reason.message);
+            failedChannels++;
+        }
+    });
 
-            if (!analysis.isPostWorthy || analysis.error) {
-                console.log(`[Scheduler] No post-worthy content in ${channelId}`);
-                continue;
-            }
+    return failedChannels;
+}
 
-            // Check for duplicates
-            const { isDuplicate, similarity } = checkDuplicate(analysis);
-            if (isDuplicate) {
-                console.log(`[Scheduler] Skipping duplicate (${(similarity * 100).toFixed(1)}% similar)`);
-                continue;
-            }
+/**
+ * Analyze every workspace (or one) from a specific time range
+ * @param {string} job - Job name (names the queued channel jobs)
+ * @param {number} hoursBack - How many hours to look back
+ * @param {string} source - Source description for logging
+ * @param {Object} scope - { teamId, channels } to limit the run to one workspace, or to the
+ *   channels due in a tick (channels: Map of teamId to Set of channel IDs)
+ * @returns {Promise<string>} - Outcome: 'success', 'error' (a channel failed) or 'skipped'
+ */
+async function runAnalysis(job, hoursBack, source, { teamId = null, channels = null } = {}) {
+    if (!initialized) {
+        console.warn('[Scheduler] Scheduler not initialized, skipping analysis');
+        return 'skipped';
+    }
+
+    if (!isConfigured()) {
+        console.warn('[Scheduler] LLM not configured, skipping analysis');
+        return 'skipped';
+    }
 
-            // Store and post
-            storeSuggestion(analysis);
-            await postSuggestion(analysis, source);
+    const workspaces = listWorkspaces().filter(workspace =>
+        (!teamId || workspace.teamId === teamId) && (!channels || channels.has(workspace.teamId)));
+    let analyzed = 0;
+    let failedChannels = 0;
 
-        } catch (error) {
-            console.error(`[Scheduler] Error analyzing ${channelId}:`, error.message);
+    // Workspaces run side by side; the job queue limits how many channels are analyzed at once
+    const results = await Promise.all(workspaces.map(workspace =>
+        analyzeWorkspace(job, workspace.teamId, hoursBack, source, channels?.get(workspace.teamId))));
+
+    results.forEach((failed, idx) => {
+        if (failed === null) {
+            console.log(`[Scheduler] No channels to analyze in ${workspaces[idx].teamId}, skipping`);
+            return;
         }
+
+        analyzed++;
+        failedChannels += failed;
+    });
+
+    if (analyzed === 0) return 'skipped';
+    return failedChannels > 0 ? 'error' : 'success';
+}
+
+/**
+ * Run an analysis and record its duration and outcome in the metrics
+ * @param {string} job - Job name for metrics
+ * @param {number} hoursBack - How many hours to look back
+ * @param {string} source - Source description
+ * @param {Object} scope - Limit the run to a workspace or to some channels (see runAnalysis)
+ */
+async function runJob(job, hoursBack, source, scope = {}) {
+    const startedAt = Date.now();
+    let outcome = 'error';
+    jobStatus.set(job, { ...jobStatus.get(job), running: true, lastStartedAt: startedAt });
+
+    try {
+        outcome = await runAnalysis(job, hoursBack, source, scope);
+    } finally {
+        const finishedAt = Date.now();
+        jobStatus.set(job, {
+            running: false,
+            lastStartedAt: startedAt,
+            lastFinishedAt: finishedAt,
+            lastOutcome: outcome,
+            lastDurationMs: finishedAt - startedAt,
+        });
+        recordJobRun(job, outcome, finishedAt - startedAt);
     }
 }
 
 /**
- * 6-hour analysis job
+ * Get the key of a schedule (one cron task per key)
+ * @param {string} timezone - IANA timezone
+ * @param {string} expression - Cron expression
+ * @returns {string}
  */
-async function sixHourJob() {
-    console.log('\n[Scheduler] ⏰ Running 6-hour analysis...');
-    await runAnalysis(6, '6-hour analysis');
+function scheduleKey(timezone, expression) {
+    return `${timezone} ${expression}`;
 }
 
 /**
- * Daily analysis job (runs at midnight)
+ * Run the channels whose schedules fired in this tick
+ * Each channel is analyzed once, for its longest due window (e.g. the daily summary
+ * instead of both analyses when they fire at the same time).
  */
-async function dailyJob() {
-    console.log('\n[Scheduler] ⏰ Running daily analysis...');
-    await runAnalysis(24, 'Daily summary');
+async function runScheduledTick() {
+    const fired = firedSchedules;
+    firedSchedules = new Set();
+    tickTimer = null;
+
+    // Channels due per window: { window: Map(teamId => Set(channelId)) }
+    const due = new Map();
+    for (const { teamId } of listWorkspaces()) {
+        for (const channel of listMonitoredChannels(teamId)) {
+            const window = channel.windows
+                .filter(candidate => fired.has(scheduleKey(channel.timezone, channel.schedules[candidate])))
+                .sort((a, b) => WINDOW_JOBS[b].hoursBack - WINDOW_JOBS[a].hoursBack)[0];
+            if (!window) continue;
+
+            if (!due.has(window)) due.set(window, new Map());
+            const teams = due.get(window);
+            if (!teams.has(teamId)) teams.set(teamId, new Set());
+            teams.get(teamId).add(channel.channelId);
+        }
+    }
+
+    for (const [window, channels] of due) {
+        const { job, hoursBack, source } = WINDOW_JOBS[window];
+        console.log(`\n[Scheduler] ⏰ Running ${source}...`);
+        await runJob(job, hoursBack, source, { channels });
+    }
+
+    // Pick up workspaces installed since the last sync
+    syncSchedules();
 }
 
 /**
- * Initialize the scheduler
- * @param {Object} client - Slack WebClient
+ * Note that a schedule fired; every schedule firing in the same tick runs together
+ * @param {string} key - Schedule key
  */
-export function initScheduler(client) {
-    slackClient = client;
+function onScheduleFired(key) {
+    firedSchedules.add(key);
+    tickTimer ??= setTimeout(runScheduledTick, TICK_MERGE_MS);
+}
 
-    if (!CRON_ENABLED) {
-        console.log('[Scheduler] Cron jobs disabled (CRON_ENABLED=false)');
-        return;
+/**
+ * Create a cron task for every schedule in use and remove the ones no channel uses anymore
+ * Called on start, after each tick and when channel settings change.
+ */
+export function syncSchedules() {
+    if (!cronActive) return;
+
+    const needed = new Map();
+    for (const { teamId } of listWorkspaces()) {
+        for (const channel of listMonitoredChannels(teamId)) {
+            for (const window of channel.windows) {
+                const expression = channel.schedules[window];
+                needed.set(scheduleKey(channel.timezone, expression), { timezone: channel.timezone, expression });
+            }
+        }
     }
 
-    if (!SUGGESTIONS_CHANNEL_ID) {
-        console.warn('[Scheduler] SUGGESTIONS_CHANNEL_ID not set, automated suggestions disabled');
-        return;
+    for (const [key, task] of scheduleTasks) {
+        if (!needed.has(key)) {
+            task.destroy();
+            scheduleTasks.delete(key);
+            console.log(`[Scheduler] Removed schedule ${key}`);
+        }
     }
 
-    // Every 6 hours: at 0:00, 6:00, 12:00, 18:00
-    cron.schedule('0 0,6,12,18 * * *', sixHourJob, {
-        timezone: 'UTC',
-    });
+    for (const [key, { timezone, expression }] of needed) {
+        if (scheduleTasks.has(key)) continue;
 
-    // Daily at midnight UTC
-    cron.schedule('0 0 * * *', dailyJob, {
-        timezone: 'UTC',
-    });
+        try {
+            scheduleTasks.set(key, cron.schedule(expression, () => onScheduleFired(key), { timezone, name: key }));
+            console.log(`[Scheduler] Added schedule ${key}`);
+        } catch (error) {
+            console.error(`[Scheduler] Invalid schedule ${key}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Initialize the scheduler
+ * Slack clients and monitored channels are looked up on every run, so workspaces installed
+ * and channels enrolled later are picked up by the next one.
+ */
+export function initScheduler() {
+    initialized = true;
+
+    if (!CRON_ENABLED) {
+        console.log('[Scheduler] Cron jobs disabled (CRON_ENABLED=false)');
+        return;
+    }
 
-    // cron.schedule('*/2 * * * *', sixHourJob, { timezone: 'UTC' });
-    // cron.schedule('*/8 * * * *', dailyJob, { timezone: 'UTC' });
+    cronActive = true;
+    syncSchedules();
 
     console.log('[Scheduler] ✅ Cron jobs initialized');
-    console.log('[Scheduler] - 6-hour analysis: Every 6 hours (0:00, 6:00, 12:00, 18:00 UTC)');
-    console.log('[Scheduler] - Daily summary: Midnight UTC');
-    console.log(`[Scheduler] - Suggestions channel: ${SUGGESTIONS_CHANNEL_ID}`);
-    console.log(`[Scheduler] - Monitored channels: ${MONITORED_CHANNELS.length > 0 ? MONITORED_CHANNELS.join(', ') : 'All'}`);
+    for (const { teamId, suggestionsChannelId } of listWorkspaces()) {
+        console.log(`[Scheduler] - ${teamId}: suggestions channel ${suggestionsChannelId || 'not set'}`);
+        for (const channel of listMonitoredChannels(teamId)) {
+            const schedules = channel.windows.map(window => `${window} "${channel.schedules[window]}"`).join(', ');
+            console.log(`[Scheduler]   - ${channel.channelId}: ${schedules} (${channel.timezone})`);
+        }
+    }
 }
 
 /**
  * Manually trigger analysis (for testing)
  * @param {number} hoursBack - Hours to look back
+ * @param {string} teamId - Limit the run to one workspace (optional)
+ */
+export async function triggerManualAnalysis(hoursBack = 6, teamId = null) {
+    console.log(`[Scheduler] Manual analysis triggered (${hoursBack}h${teamId ? `, ${teamId}` : ''})`);
+    await runJob('manual', hoursBack, `Manual analysis (${hoursBack}h)`, { teamId });
+}
+
+/**
+ * Get scheduler status for health checks
+ * @returns {Object} - { initialized, cronEnabled, schedules: [{ timezone, expression, nextRun }],
+ *   jobs: { job: { running, lastStartedAt, lastFinishedAt, lastOutcome, lastDurationMs } } }
  */
-export async function triggerManualAnalysis(hoursBack = 6) {
-    console.log(`[Scheduler] Manual analysis triggered (${hoursBack}h)`);
-    await runAnalysis(hoursBack, `Manual analysis (${hoursBack}h)`);
+export function getSchedulerStatus() {
+    return {
+        initialized,
+        cronEnabled: cronActive,
+        schedules: Array.from(scheduleTasks, ([key, task]) => {
+            const [timezone, ...expression] = key.split(' ');
+            return { timezone, expression: expression.join(' '), nextRun: task.getNextRun()?.toISOString() || null };
+        }),
+        jobs: Object.fromEntries(jobStatus),
+    };
 }
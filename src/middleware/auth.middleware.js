@@ -0,0 +1,63 @@
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Keys accepted by the REST API (comma-separated). The API is disabled when none are set.
+const API_KEYS = (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+
+// Optional bearer token for /metrics (open when unset, as Prometheus scrapers usually expect)
+const METRICS_TOKEN = process.env.METRICS_TOKEN?.trim() || null;
+
+/**
+ * Hash a key so comparisons run in constant time regardless of length
+ */
+function digest(key) {
+  return createHash('sha256').update(key).digest();
+}
+
+const API_KEY_DIGESTS = API_KEYS.map(digest);
+const METRICS_TOKEN_DIGEST = METRICS_TOKEN ? digest(METRICS_TOKEN) : null;
+
+/**
+ * Check the key sent as `Authorization: Bearer <key>` or `X-API-Key: <key>` against accepted digests
+ */
+function hasValidKey(req, digests) {
+  const header = req.get('authorization') || '';
+  const key = header.match(/^Bearer\s+(.+)$/i)?.[1] || req.get('x-api-key');
+  const provided = key ? digest(key.trim()) : null;
+
+  return !!provided && digests.some(expected => timingSafeEqual(expected, provided));
+}
+
+/**
+ * Require an API key, sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ */
+export function requireApiKey(req, res, next) {
+  if (API_KEY_DIGESTS.length === 0) {
+    return res.status(503).json({
+      success: false,
+      error: 'API disabled: set API_KEYS to enable it',
+    });
+  }
+
+  if (!hasValidKey(req, API_KEY_DIGESTS)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+    });
+  }
+
+  next();
+}
+
+/**
+ * Require METRICS_TOKEN as a bearer token, if one is set.
+ */
+export function requireMetricsToken(req, res, next) {
+  if (METRICS_TOKEN_DIGEST && !hasValidKey(req, [METRICS_TOKEN_DIGEST])) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+    });
+  }
+
+  next();
+}
@@ -0,0 +1,45 @@
+import { Router } from 'express';
+import { requireApiKey } from '../middleware/auth.middleware.js';
+import { listSuggestions, getSuggestionById, updateSuggestion } from '../controllers/suggestions.controller.js';
+import { triggerAnalysis } from '../controllers/analysis.controller.js';
+import { getBotStats } from '../controllers/stats.controller.js';
+import { getPlatforms } from '../controllers/platforms.controller.js';
+import { getWorkspaces, getWorkspaceRedaction, updateWorkspaceRedaction } from '../controllers/workspaces.controller.js';
+import { getWebhookEndpoints, listDeadLetters, retryDelivery } from '../controllers/webhooks.controller.js';
+import { getJobs, getJobById, cancelJobById } from '../controllers/jobs.controller.js';
+
+const router = Router();
+
+// Every /api route needs an API key
+router.use(requireApiKey);
+
+// Suggestions
+router.get('/suggestions', listSuggestions);
+router.get('/suggestions/:id', getSuggestionById);
+router.patch('/suggestions/:id', updateSuggestion);
+
+// Trigger a manual analysis run
+router.post('/analysis', triggerAnalysis);
+
+// Analysis jobs (queued, running, recent)
+router.get('/jobs', getJobs);
+router.get('/jobs/:id', getJobById);
+router.post('/jobs/:id/cancel', cancelJobById);
+
+// Buffer + store stats
+router.get('/stats', getBotStats);
+
+// Installed workspaces
+router.get('/workspaces', getWorkspaces);
+router.get('/workspaces/:teamId/redaction', getWorkspaceRedaction);
+router.put('/workspaces/:teamId/redaction', updateWorkspaceRedaction);
+
+// Platform limits, for clients that edit drafts
+router.get('/platforms', getPlatforms);
+
+// Outgoing webhooks and failed deliveries
+router.get('/webhooks', getWebhookEndpoints);
+router.get('/webhooks/dead-letters', listDeadLetters);
+router.post('/webhooks/dead-letters/:id/retry', retryDelivery);
+
+export default router;
@@ -1,9 +1,15 @@
 import { Router } from 'express';
-import { getHealth } from '../controllers/health.controller.js';
+import { getHealth, getLiveness, getReadiness } from '../controllers/health.controller.js';
 
 const router = Router();
 
 // GET /health - for load balancers and monitoring
 router.get('/', getHealth);
 
+// GET /health/live - liveness probe (restart when failing)
+router.get('/live', getLiveness);
+
+// GET /health/ready - readiness probe (Slack, LLM, scheduler, storage)
+router.get('/ready', getReadiness);
+
 export default router;
@@ -0,0 +1,10 @@
+import { Router } from 'express';
+import { requireMetricsToken } from '../middleware/auth.middleware.js';
+import { getMetrics } from '../controllers/metrics.controller.js';
+
+const router = Router();
+
+// GET /metrics - Prometheus scrape target
+router.get('/', requireMetricsToken, getMetrics);
+
+export default router;
@@ -0,0 +1,10 @@
+import { Router } from 'express';
+import { installApp, completeInstall } from '../controllers/oauth.controller.js';
+
+const router = Router();
+
+// OAuth install flow for additional workspaces
+router.get('/install', installApp);
+router.get('/oauth_redirect', completeInstall);
+
+export default router;
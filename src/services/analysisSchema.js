@@ -0,0 +1,239 @@
+/**
+ * Analysis Schema
+ *
+ * JSON Schemas for LLM responses (analysis and chunk insights), plus:
+ * - A small validator for the subset of JSON Schema we use
+ * - Tolerant JSON extraction from raw model output
+ */
+
+import { getPostLimit } from './platforms.js';
+
+// Maximum number of ideas returned per analysis
+// Capped at 5 so a multi-idea Slack message stays under the 50-block limit
+export const MAX_IDEAS = Math.min(parseInt(process.env.ANALYSIS_MAX_IDEAS, 10) || 5, 5);
+
+// Slack block budget for a multi-idea message: header, source and footer,
+// then per idea a title, duplicate warning, lifecycle status + actions and a separator,
+// plus a divider and section per platform draft (and a section per post for threads)
+const SLACK_MAX_BLOCKS = 50;
+const MESSAGE_BLOCKS = 3;
+const BLOCKS_PER_IDEA = 5;
+const BLOCKS_PER_DRAFT = 2;
+
+/**
+ * Get the number of ideas to request, so every idea fits in one Slack message
+ * @param {Array} platforms - Platform definitions drafts are requested for
+ * @returns {number}
+ */
+export function maxIdeasFor(platforms) {
+    const perIdea = BLOCKS_PER_IDEA + platforms.reduce(
+        (sum, platform) => sum + BLOCKS_PER_DRAFT + (platform.thread?.maxPosts || 0),
+        0
+    );
+    return Math.max(1, Math.min(MAX_IDEAS, Math.floor((SLACK_MAX_BLOCKS - MESSAGE_BLOCKS) / perIdea)));
+}
+
+/**
+ * Build the schema for one platform's draft
+ * Thread platforms return a list of posts; numbering is added later, so posts leave room for it.
+ * @param {Object} platform - Platform definition
+ * @returns {Object} - JSON Schema
+ */
+function buildDraftSchema(platform) {
+    const post = { type: 'string', minLength: 1, maxLength: getPostLimit(platform) };
+
+    return platform.thread
+        ? { type: 'array', minItems: 1, maxItems: platform.thread.maxPosts, items: post }
+        : post;
+}
+
+/**
+ * Build the schema for a single post idea
+ * Drafts are keyed by platform ID and limited to each platform's character limit.
+ * @param {Array} platforms - Platform definitions (see platforms.js)
+ * @returns {Object} - JSON Schema
+ */
+export function buildIdeaSchema(platforms) {
+    return {
+        type: 'object',
+        properties: {
+            title: { type: 'string', minLength: 1, maxLength: 80 },
+            score: { type: 'integer', minimum: 1, maximum: 10 },
+            reasoning: { type: 'string', minLength: 1 },
+            drafts: {
+                type: 'object',
+                properties: Object.fromEntries(platforms.map(platform => [platform.id, buildDraftSchema(platform)])),
+                required: platforms.map(platform => platform.id),
+            },
+        },
+        required: ['title', 'score', 'reasoning', 'drafts'],
+    };
+}
+
+/**
+ * Build the schema the LLM response must match.
+ * Also sent to providers that support structured output.
+ * @param {Array} platforms - Platform definitions to request drafts for
+ * @returns {Object} - JSON Schema
+ */
+export function buildAnalysisSchema(platforms) {
+    return {
+        type: 'object',
+        properties: {
+            reasoning: { type: 'string', minLength: 1 },
+            ideas: { type: 'array', maxItems: maxIdeasFor(platforms), items: buildIdeaSchema(platforms) },
+        },
+        required: ['reasoning', 'ideas'],
+    };
+}
+
+/**
+ * Schema for the per-chunk insight extraction step of long-conversation analysis
+ */
+export const INSIGHTS_SCHEMA = {
+    type: 'object',
+    properties: {
+        insights: {
+            type: 'array',
+            maxItems: 5,
+            items: {
+                type: 'object',
+                properties: {
+                    summary: { type: 'string', minLength: 1 },
+                    details: { type: 'string' },
+                    strength: { type: 'integer', minimum: 1, maximum: 10 },
+                },
+                required: ['summary', 'details', 'strength'],
+            },
+        },
+    },
+    required: ['insights'],
+};
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a JSON Schema subset
+ * Supports: type, properties, required, items, minLength, maxLength, minimum, maximum, minItems, maxItems, enum
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Path used in error messages
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+export function validateSchema(value, schema, path = '$') {
+    const errors = [];
+    const actualType = typeOf(value);
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = allowed.some(type => type === actualType || (type === 'number' && actualType === 'integer'));
+        if (!matches) {
+            return [`${path} must be ${allowed.join(' or ')} (got ${actualType})`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (actualType === 'string') {
+        const length = Array.from(value).length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            errors.push(`${path} must be at least ${schema.minLength} characters (got ${length})`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters (got ${length})`);
+        }
+    }
+
+    if (actualType === 'integer' || actualType === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (actualType === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (key in value) {
+                errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+    }
+
+    if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, idx) => errors.push(...validateSchema(item, schema.items, `${path}[${idx}]`)));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate an analysis result
+ * @param {Object} result - Parsed LLM response
+ * @param {Object} schema - Schema from buildAnalysisSchema
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+export function validateAnalysis(result, schema) {
+    return validateSchema(result, schema);
+}
+
+/**
+ * Validate a chunk insights result
+ * @param {Object} result - Parsed LLM response
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+export function validateInsights(result) {
+    return validateSchema(result, INSIGHTS_SCHEMA);
+}
+
+/**
+ * Extract and parse a JSON object from raw model output
+ * Handles markdown code fences and prose around the object.
+ * @param {string} content - Raw model output
+ * @returns {Object}
+ * @throws {SyntaxError} - If no JSON object can be parsed
+ */
+export function parseJsonResponse(content) {
+    let jsonContent = content.trim();
+
+    const fenced = jsonContent.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenced) {
+        jsonContent = fenced[1].trim();
+    }
+
+    if (!jsonContent.startsWith('{')) {
+        const start = jsonContent.indexOf('{');
+        const end = jsonContent.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            jsonContent = jsonContent.slice(start, end + 1);
+        }
+    }
+
+    return JSON.parse(jsonContent);
+}
@@ -0,0 +1,230 @@
+/**
+ * Channel Enrollment Service
+ *
+ * Which channels scheduled analysis reads, per workspace, and how:
+ * - destinationChannelId: where suggestions from the channel are posted
+ * - minMessages:          messages needed before the channel is analyzed
+ * - windows:              which scheduled analyses include the channel (6h, 24h)
+ * - timezone / schedules: when those analyses run (IANA timezone, cron expression per window)
+ *
+ * Channels are enrolled with /chitchatposts watch|unwatch (persisted) on top of the
+ * monitored channels from MONITORED_CHANNELS / WORKSPACES_CONFIG_PATH. Unset settings
+ * follow the workspace defaults (WORKSPACES_CONFIG_PATH, then the environment), so changing
+ * those still applies to them. The scheduler reads this on every run.
+ */
+
+import cron from 'node-cron';
+import { getCollection, teamKey } from './persistence.js';
+import { getWorkspaceTargets } from './workspaces.js';
+
+const MIN_MESSAGES_FOR_ANALYSIS = parseInt(process.env.MIN_MESSAGES_FOR_ANALYSIS, 10) || 5;
+const CRON_TIMEZONE = process.env.CRON_TIMEZONE || 'UTC';
+
+// Default cron expression of each scheduled analysis (by how far back it looks)
+const DEFAULT_SCHEDULES = {
+    '6h': process.env.CRON_SCHEDULE_6H || '0 0,6,12,18 * * *',
+    '24h': process.env.CRON_SCHEDULE_24H || '0 0 * * *',
+};
+
+// Scheduled analyses a channel can take part in
+export const ANALYSIS_WINDOWS = Object.keys(DEFAULT_SCHEDULES);
+
+// Enrollments: { "teamId:channelId": { teamId, channelId, watching, destinationChannelId, minMessages, windows, timezone, schedules, updatedBy, updatedAt } }
+// (watching: false opts a channel out, including configured ones; null settings use the defaults)
+const enrollments = getCollection('channelEnrollments');
+
+/**
+ * Get a workspace's stored enrollments
+ * @param {string} teamId - Slack team ID
+ * @returns {Array}
+ */
+function getTeamEnrollments(teamId) {
+    return Array.from(enrollments.values()).filter(entry => entry.teamId === teamId);
+}
+
+/**
+ * Fill in the defaults for a monitored channel
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Monitored channel ID
+ * @param {Object} entry - Stored enrollment (or null for a configured channel)
+ * @param {string} source - 'command', 'config' or 'fallback'
+ * @returns {Object} - { teamId, channelId, destinationChannelId, minMessages, windows, timezone, schedules, source, updatedBy, updatedAt }
+ *   schedules holds the cron expression of each of the channel's windows
+ */
+function resolveEnrollment(teamId, channelId, entry, source) {
+    const targets = getWorkspaceTargets(teamId);
+    const windows = entry?.windows ?? ANALYSIS_WINDOWS;
+
+    return {
+        teamId,
+        channelId,
+        destinationChannelId: entry?.destinationChannelId || targets.suggestionsChannelId,
+        minMessages: entry?.minMessages ?? MIN_MESSAGES_FOR_ANALYSIS,
+        windows,
+        timezone: entry?.timezone || targets.timezone || CRON_TIMEZONE,
+        schedules: Object.fromEntries(windows.map(window => [
+            window,
+            entry?.schedules?.[window] || targets.schedules?.[window] || DEFAULT_SCHEDULES[window],
+        ])),
+        source,
+        updatedBy: entry?.updatedBy || null,
+        updatedAt: entry?.updatedAt || null,
+    };
+}
+
+/**
+ * List the channels scheduled analysis reads in a workspace
+ * Until channels are configured or enrolled, the suggestions channel itself is analyzed
+ * (unless it was opted out).
+ * @param {string} teamId - Slack team ID
+ * @returns {Array} - Resolved enrollments (see resolveEnrollment)
+ */
+export function listMonitoredChannels(teamId) {
+    const { suggestionsChannelId, monitoredChannels } = getWorkspaceTargets(teamId);
+    const stored = getTeamEnrollments(teamId);
+
+    if (monitoredChannels.length === 0 && !stored.some(entry => entry.watching)) {
+        const optedOut = !suggestionsChannelId || enrollments.has(teamKey(teamId, suggestionsChannelId));
+        return optedOut ? [] : [resolveEnrollment(teamId, suggestionsChannelId, null, 'fallback')];
+    }
+
+    const channels = monitoredChannels
+        .filter(channelId => !enrollments.has(teamKey(teamId, channelId)))
+        .map(channelId => resolveEnrollment(teamId, channelId, null, 'config'));
+
+    for (const entry of stored) {
+        if (!entry.watching) continue;
+        const source = monitoredChannels.includes(entry.channelId) ? 'config' : 'command';
+        channels.push(resolveEnrollment(teamId, entry.channelId, entry, source));
+    }
+
+    return channels;
+}
+
+/**
+ * Get a monitored channel's settings
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID
+ * @returns {Object|null} - Resolved enrollment, or null if the channel isn't monitored
+ */
+export function getChannelEnrollment(teamId, channelId) {
+    return listMonitoredChannels(teamId).find(channel => channel.channelId === channelId) || null;
+}
+
+/**
+ * Get where suggestions from a channel are posted
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel the suggestion came from
+ * @returns {string|null} - The channel's destination, else the workspace's suggestions channel
+ */
+export function getDestinationChannel(teamId, channelId) {
+    return getChannelEnrollment(teamId, channelId)?.destinationChannelId ||
+        getWorkspaceTargets(teamId).suggestionsChannelId;
+}
+
+/**
+ * Check whether a string is an IANA timezone (e.g. Asia/Kolkata)
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate enrollment settings
+ * Each setting may be undefined (keep the current value) or null (use the default).
+ * @param {Object} settings - { destinationChannelId, minMessages, windows, timezone, schedules: { window: cron } }
+ * @throws {Error} - Message suitable for Slack
+ */
+function validateSettings({ destinationChannelId, minMessages, windows, timezone, schedules }) {
+    if (destinationChannelId && !/^[CG][A-Z0-9]+$/.test(destinationChannelId)) {
+        throw new Error(`Invalid destination channel: ${destinationChannelId}. Mention it (e.g. #suggestions) or use its ID.`);
+    }
+    if (minMessages != null && (!Number.isInteger(minMessages) || minMessages < 1 || minMessages > 1000)) {
+        throw new Error('Minimum messages must be a whole number between 1 and 1000.');
+    }
+    if (windows != null) {
+        const unknown = windows.filter(window => !ANALYSIS_WINDOWS.includes(window));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown analysis window(s): ${unknown.join(', ')}. Available: ${ANALYSIS_WINDOWS.join(', ')}`);
+        }
+        if (windows.length === 0) {
+            throw new Error('Pick at least one analysis window.');
+        }
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+        throw new Error(`Unknown timezone: ${timezone}. Use an IANA name like Asia/Kolkata or America/New_York.`);
+    }
+    for (const [window, expression] of Object.entries(schedules || {})) {
+        if (expression && !cron.validate(expression)) {
+            throw new Error(`Invalid cron expression for ${window}: \`${expression}\` (e.g. \`0 18 * * 1-5\` for 6pm on weekdays).`);
+        }
+    }
+}
+
+/**
+ * Enroll a channel in scheduled analysis, or update its settings
+ * Settings left undefined keep their current value; null resets them to the default
+ * (schedules are merged per window).
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID
+ * @param {Object} settings - { destinationChannelId, minMessages, windows, timezone, schedules: { window: cron } }
+ * @param {Object} meta - { userId }
+ * @returns {Object} - Resolved enrollment
+ */
+export function watchChannel(teamId, channelId, settings = {}, meta = {}) {
+    validateSettings(settings);
+
+    const key = teamKey(teamId, channelId);
+    const current = enrollments.get(key);
+    const pick = (name) => (settings[name] !== undefined ? settings[name] : current?.[name] ?? null);
+    const schedules = Object.fromEntries(Object.entries({ ...current?.schedules, ...settings.schedules })
+        .filter(([, expression]) => expression));
+
+    enrollments.set(key, {
+        teamId,
+        channelId,
+        watching: true,
+        destinationChannelId: pick('destinationChannelId'),
+        minMessages: pick('minMessages'),
+        windows: settings.windows ? [...new Set(settings.windows)] : pick('windows'),
+        timezone: pick('timezone'),
+        schedules: Object.keys(schedules).length > 0 ? schedules : null,
+        updatedBy: meta.userId || null,
+        updatedAt: Date.now(),
+    });
+
+    console.log(`[Enrollment] Watching ${teamId}/${channelId}`);
+    return getChannelEnrollment(teamId, channelId);
+}
+
+/**
+ * Remove a channel from scheduled analysis
+ * The channel is opted out rather than deleted, so configured channels (and the
+ * suggestions channel fallback) stay off too.
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID
+ * @param {Object} meta - { userId }
+ * Channels that weren't monitored are left alone (an opt-out would turn the fallback off).
+ * @returns {boolean} - Whether the channel was monitored
+ */
+export function unwatchChannel(teamId, channelId, meta = {}) {
+    if (!getChannelEnrollment(teamId, channelId)) return false;
+
+    enrollments.set(teamKey(teamId, channelId), {
+        teamId,
+        channelId,
+        watching: false,
+        updatedBy: meta.userId || null,
+        updatedAt: Date.now(),
+    });
+
+    console.log(`[Enrollment] Stopped watching ${teamId}/${channelId}`);
+    return true;
+}
@@ -3,7 +3,7 @@
  * 
  * In-memory storage for Slack messages with:
  * - Rolling time window (default 4 hours)
- * - Channel-grouped storage
+ * - Storage grouped by workspace and channel
  * - Auto-cleanup on add
  */
 
@@ -11,8 +11,21 @@
 const BUFFER_WINDOW_MS = (parseInt(process.env.BUFFER_WINDOW_HOURS, 10) || 4) * 60 * 60 * 1000;
 const MIN_MESSAGE_LENGTH = 5;
 
-// In-memory storage: { channelId: [{ user, text, timestamp, addedAt }] }
-const channelBuffers = new Map();
+// In-memory storage: { teamId: { channelId: [{ user, text, timestamp, threadTs, addedAt }] } }
+const workspaceBuffers = new Map();
+
+/**
+ * Get a workspace's channel buffers
+ * @param {string} teamId - Slack team ID
+ * @param {boolean} create - Create the workspace entry if missing
+ * @returns {Map|undefined}
+ */
+function getChannelBuffers(teamId, create = false) {
+  if (create && !workspaceBuffers.has(teamId)) {
+    workspaceBuffers.set(teamId, new Map());
+  }
+  return workspaceBuffers.get(teamId);
+}
 
 /**
  * Check if a message should be stored
@@ -40,10 +53,12 @@ function shouldStoreMessage(event) {
 
 /**
  * Clean up old messages from a channel buffer
+ * @param {string} teamId
  * @param {string} channelId 
  */
-function cleanupOldMessages(channelId) {
-  const buffer = channelBuffers.get(channelId);
+function cleanupOldMessages(teamId, channelId) {
+  const channelBuffers = getChannelBuffers(teamId);
+  const buffer = channelBuffers?.get(channelId);
   if (!buffer) return;
 
   const cutoffTime = Date.now() - BUFFER_WINDOW_MS;
@@ -51,6 +66,7 @@ function cleanupOldMessages(channelId) {
   
   if (filtered.length === 0) {
     channelBuffers.delete(channelId);
+    if (channelBuffers.size === 0) workspaceBuffers.delete(teamId);
   } else {
     channelBuffers.set(channelId, filtered);
   }
@@ -58,68 +74,83 @@ function cleanupOldMessages(channelId) {
 
 /**
  * Add a message to the buffer
+ * @param {string} teamId - Slack team ID of the workspace that received the message
  * @param {string} channelId - Slack channel ID
  * @param {string} user - User ID who sent the message
  * @param {string} text - Message text
  * @param {string} timestamp - Slack message timestamp
+ * @param {string} threadTs - Parent thread timestamp (for thread replies and parents)
  * @returns {boolean} - Whether the message was stored
  */
-export function addMessage(channelId, user, text, timestamp) {
+export function addMessage(teamId, channelId, user, text, timestamp, threadTs = null) {
   // Clean up old messages first
-  cleanupOldMessages(channelId);
+  cleanupOldMessages(teamId, channelId);
 
   const message = {
     user,
     text,
     timestamp,
+    threadTs: threadTs || null,
     addedAt: Date.now(),
   };
 
+  const channelBuffers = getChannelBuffers(teamId, true);
   if (!channelBuffers.has(channelId)) {
     channelBuffers.set(channelId, []);
   }
 
   channelBuffers.get(channelId).push(message);
   
-  console.log(`[Buffer] Added message from ${user} in ${channelId}: "${text.substring(0, 50)}..."`);
+  console.log(`[Buffer] Added message from ${user} in ${teamId}/${channelId}: "${text.substring(0, 50)}..."`);
   return true;
 }
 
 /**
  * Get all messages from a channel (within the rolling window)
+ * @param {string} teamId
  * @param {string} channelId 
  * @returns {Array} - Array of messages
  */
-export function getMessages(channelId) {
-  cleanupOldMessages(channelId);
-  return channelBuffers.get(channelId) || [];
+export function getMessages(teamId, channelId) {
+  cleanupOldMessages(teamId, channelId);
+  return getChannelBuffers(teamId)?.get(channelId) || [];
 }
 
 /**
  * Clear all messages from a channel
+ * @param {string} teamId
  * @param {string} channelId 
  */
-export function clearChannel(channelId) {
+export function clearChannel(teamId, channelId) {
+  const channelBuffers = getChannelBuffers(teamId);
+  if (!channelBuffers) return;
+
   channelBuffers.delete(channelId);
-  console.log(`[Buffer] Cleared channel ${channelId}`);
+  if (channelBuffers.size === 0) workspaceBuffers.delete(teamId);
+  console.log(`[Buffer] Cleared channel ${teamId}/${channelId}`);
 }
 
 /**
  * Get buffer statistics for debugging
- * @returns {Object}
+ * @returns {Object} - { totalChannels, workspaces: { teamId: { channelId: { messageCount, oldestMessage, newestMessage } } } }
  */
 export function getStats() {
   const stats = {
-    totalChannels: channelBuffers.size,
-    channels: {},
+    totalChannels: 0,
+    workspaces: {},
   };
 
-  for (const [channelId, messages] of channelBuffers) {
-    stats.channels[channelId] = {
-      messageCount: messages.length,
-      oldestMessage: messages[0]?.addedAt,
-      newestMessage: messages[messages.length - 1]?.addedAt,
-    };
+  for (const [teamId, channelBuffers] of workspaceBuffers) {
+    stats.totalChannels += channelBuffers.size;
+    stats.workspaces[teamId] = {};
+
+    for (const [channelId, messages] of channelBuffers) {
+      stats.workspaces[teamId][channelId] = {
+        messageCount: messages.length,
+        oldestMessage: messages[0]?.addedAt,
+        newestMessage: messages[messages.length - 1]?.addedAt,
+      };
+    }
   }
 
   return stats;
@@ -0,0 +1,161 @@
+/**
+ * Conversation Chunker
+ *
+ * Keeps LLM input within a token budget:
+ * - Cheap token estimation (no tokenizer dependency)
+ * - Thread-aware ordering (replies directly after their parent)
+ * - Splitting on conversation boundaries: threads stay whole, and
+ *   top-level messages are grouped until a quiet gap
+ */
+
+// Rough average for English text across OpenAI/Anthropic tokenizers
+const CHARS_PER_TOKEN = 4;
+
+// A pause this long between top-level messages starts a new conversation
+const CONVERSATION_GAP_MS = (parseInt(process.env.CONVERSATION_GAP_MINUTES, 10) || 30) * 60 * 1000;
+
+// Per-message overhead for the "[n] Speaker: " prefix and separators
+const MESSAGE_OVERHEAD_TOKENS = 8;
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Estimate the tokens a message takes up in the formatted conversation
+ * @param {Object} msg - Message object { text, userName }
+ * @returns {number}
+ */
+function estimateMessageTokens(msg) {
+    return estimateTokens(msg.text) + estimateTokens(msg.userName) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Check whether a message is a reply inside a thread (not the thread parent)
+ * @param {Object} msg - Message object
+ * @returns {boolean}
+ */
+export function isThreadReply(msg) {
+    return !!msg.threadTs && msg.threadTs !== msg.timestamp;
+}
+
+/**
+ * Order messages so thread replies directly follow their parent.
+ * Replies whose parent isn't in the list keep their chronological position.
+ * @param {Array} messages - Array of message objects (chronological)
+ * @returns {Array}
+ */
+export function groupByThread(messages) {
+    const parentTimestamps = new Set(messages.filter(msg => !isThreadReply(msg)).map(msg => msg.timestamp));
+    const repliesByParent = new Map();
+
+    for (const msg of messages) {
+        if (isThreadReply(msg) && parentTimestamps.has(msg.threadTs)) {
+            if (!repliesByParent.has(msg.threadTs)) {
+                repliesByParent.set(msg.threadTs, []);
+            }
+            repliesByParent.get(msg.threadTs).push(msg);
+        }
+    }
+
+    const ordered = [];
+    for (const msg of messages) {
+        if (isThreadReply(msg) && parentTimestamps.has(msg.threadTs)) continue;
+        ordered.push(msg, ...(repliesByParent.get(msg.timestamp) || []));
+    }
+    return ordered;
+}
+
+/**
+ * Split thread-grouped messages into conversation segments
+ * A thread (parent + replies) always stays in one segment.
+ * @param {Array} ordered - Output of groupByThread
+ * @returns {Array<Array>} - Segments of messages
+ */
+function toSegments(ordered) {
+    const segments = [];
+    let current = [];
+    let lastTopLevelMs = null;
+
+    for (const msg of ordered) {
+        if (!isThreadReply(msg) || current.length === 0) {
+            const ms = parseFloat(msg.timestamp) * 1000;
+            if (current.length > 0 && lastTopLevelMs !== null && ms - lastTopLevelMs > CONVERSATION_GAP_MS) {
+                segments.push(current);
+                current = [];
+            }
+            lastTopLevelMs = ms;
+        }
+        current.push(msg);
+    }
+
+    if (current.length > 0) segments.push(current);
+    return segments;
+}
+
+/**
+ * Truncate a single message so it fits in the budget on its own
+ * @param {Object} msg - Message object
+ * @param {number} budgetTokens
+ * @returns {Object}
+ */
+function truncateMessage(msg, budgetTokens) {
+    if (estimateMessageTokens(msg) <= budgetTokens) return msg;
+
+    const maxChars = Math.max((budgetTokens - MESSAGE_OVERHEAD_TOKENS - estimateTokens(msg.userName)) * CHARS_PER_TOKEN, 0);
+    return { ...msg, text: `${msg.text.slice(0, maxChars)}… [truncated]` };
+}
+
+/**
+ * Split messages into chunks that each fit within a token budget,
+ * breaking on conversation boundaries where possible
+ * @param {Array} messages - Array of message objects (chronological)
+ * @param {number} budgetTokens - Max estimated tokens per chunk
+ * @returns {Array<Array>} - Chunks of thread-grouped messages
+ */
+export function chunkMessages(messages, budgetTokens) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    const flush = () => {
+        if (current.length > 0) chunks.push(current);
+        current = [];
+        currentTokens = 0;
+    };
+
+    for (const segment of toSegments(groupByThread(messages))) {
+        const segmentTokens = segment.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+
+        // Whole segment fits in the current chunk
+        if (currentTokens + segmentTokens <= budgetTokens) {
+            current.push(...segment);
+            currentTokens += segmentTokens;
+            continue;
+        }
+
+        // Start a fresh chunk for the segment if it fits on its own
+        flush();
+        if (segmentTokens <= budgetTokens) {
+            current.push(...segment);
+            currentTokens = segmentTokens;
+            continue;
+        }
+
+        // Oversized segment: split it message by message
+        for (const msg of segment.map(m => truncateMessage(m, budgetTokens))) {
+            const msgTokens = estimateMessageTokens(msg);
+            if (currentTokens + msgTokens > budgetTokens) flush();
+            current.push(msg);
+            currentTokens += msgTokens;
+        }
+    }
+
+    flush();
+    return chunks;
+}
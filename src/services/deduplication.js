@@ -1,19 +1,50 @@
 /**
  * Deduplication Service
- * 
+ *
  * Detects similar suggestions to avoid posting duplicate content.
- * Uses simple text similarity comparison.
+ * Two similarity backends (DEDUP_BACKEND):
+ * - jaccard:   word-set overlap of the primary drafts
+ * - embedding: cosine similarity of embeddings of the idea (title + reasoning)
+ *              and of the drafts, via a pluggable provider (see embeddings.js)
+ *
+ * Ideas are only compared with suggestions from the same workspace.
+ * Embeddings of stored suggestions are cached alongside them; thresholds can be set per channel.
  */
 
-import { getStoredSuggestions, generateFingerprint } from './suggestionStore.js';
+import { createHash } from 'crypto';
+import { getCollection, teamKey } from './persistence.js';
+import { getStoredSuggestions, getSuggestionRecords, generateFingerprint } from './suggestionStore.js';
+import { getPrimaryDraft, getDraftText } from './platforms.js';
+import { recordDuplicate } from './metrics.js';
+import {
+    getEmbeddingProvider,
+    getEmbeddingDefaultThreshold,
+    cosineSimilarity,
+    encodeVector,
+    decodeVector,
+} from './embeddings.js';
 
-// Similarity threshold (0-1). Suggestions above this are considered duplicates.
-const SIMILARITY_THRESHOLD = 0.8;
+const DEDUP_BACKEND = process.env.DEDUP_BACKEND === 'embedding' ? 'embedding' : 'jaccard';
+
+// Similarity threshold (0-1). Suggestions at or above this are considered duplicates.
+// Similarity scales differ, so the embedding default comes from the provider.
+const JACCARD_THRESHOLD = 0.8;
+const DEFAULT_THRESHOLD = parseFloat(process.env.DEDUP_THRESHOLD) ||
+    (DEDUP_BACKEND === 'embedding' ? getEmbeddingDefaultThreshold() : JACCARD_THRESHOLD);
+
+// Share of the embedding similarity that comes from the idea (the rest from the drafts)
+const IDEA_WEIGHT = 0.5;
+
+// Embedding cache: { suggestionId: { model, hash, idea, content } } (vectors base64-encoded)
+const embeddingCache = getCollection('suggestionEmbeddings');
+
+// Per-channel thresholds: { "teamId:channelId": number }
+const channelThresholds = getCollection('dedupThresholds');
 
 /**
  * Calculate Jaccard similarity between two texts
- * @param {string} text1 
- * @param {string} text2 
+ * @param {string} text1
+ * @param {string} text2
  * @returns {number} - Similarity score (0-1)
  */
 function calculateJaccardSimilarity(text1, text2) {
@@ -31,8 +62,8 @@ function calculateJaccardSimilarity(text1, text2) {
 
 /**
  * Calculate similarity using multiple methods and return the max
- * @param {string} text1 
- * @param {string} text2 
+ * @param {string} text1
+ * @param {string} text2
  * @returns {number} - Similarity score (0-1)
  */
 function calculateSimilarity(text1, text2) {
@@ -47,27 +78,22 @@ function calculateSimilarity(text1, text2) {
 }
 
 /**
- * Check if a suggestion is a duplicate of any stored suggestion
- * @param {Object} suggestion - New suggestion to check
- * @returns {Object} - { isDuplicate: boolean, similarity: number, matchedWith: Object|null }
+ * Find the most similar stored suggestion by Jaccard similarity of the primary drafts
+ * @param {Object} suggestion - New suggestion
+ * @param {string} teamId - Workspace whose suggestions are compared
+ * @returns {Object} - { similarity, matchedWith }
  */
-export function checkDuplicate(suggestion) {
-    const storedSuggestions = getStoredSuggestions();
-
-    if (storedSuggestions.length === 0) {
-        return { isDuplicate: false, similarity: 0, matchedWith: null };
-    }
+function findJaccardMatch(suggestion, teamId) {
+    const newContent = getPrimaryDraft(suggestion);
+    let maxSimilarity = 0;
+    let bestMatch = null;
 
-    const newContent = suggestion.linkedInDraft || suggestion.xDraft || '';
     if (!newContent) {
-        return { isDuplicate: false, similarity: 0, matchedWith: null };
+        return { similarity: 0, matchedWith: null };
     }
 
-    let maxSimilarity = 0;
-    let bestMatch = null;
-
-    for (const stored of storedSuggestions) {
-        const storedContent = stored.linkedInDraft || stored.xDraft || '';
+    for (const stored of getStoredSuggestions(teamId)) {
+        const storedContent = getPrimaryDraft(stored);
         if (!storedContent) continue;
 
         const similarity = calculateSimilarity(newContent, storedContent);
@@ -81,35 +107,217 @@ export function checkDuplicate(suggestion) {
         if (similarity >= 0.99) break;
     }
 
-    const isDuplicate = maxSimilarity >= SIMILARITY_THRESHOLD;
+    return { similarity: maxSimilarity, matchedWith: bestMatch };
+}
+
+/**
+ * Get the texts embedded for a suggestion
+ * @param {Object} suggestion - Idea { title, reasoning, drafts }
+ * @returns {Object} - { idea, content }
+ */
+function getEmbeddingTexts(suggestion) {
+    return {
+        idea: [suggestion.title, suggestion.reasoning].filter(Boolean).join('\n'),
+        content: Object.values(suggestion.drafts || {}).map(getDraftText).join('\n\n'),
+    };
+}
+
+/**
+ * Embed the idea and drafts of several suggestions in one provider call
+ * @param {Array<Object>} suggestions
+ * @returns {Promise<Array<Object>>} - [{ idea: number[], content: number[] }]
+ */
+async function embedSuggestions(suggestions) {
+    if (suggestions.length === 0) return [];
+
+    const texts = suggestions.flatMap(suggestion => {
+        const { idea, content } = getEmbeddingTexts(suggestion);
+        return [idea || ' ', content || ' '];
+    });
+    const vectors = await getEmbeddingProvider().embed(texts);
+
+    return suggestions.map((_, idx) => ({ idea: vectors[idx * 2], content: vectors[idx * 2 + 1] }));
+}
+
+/**
+ * Get embeddings for stored suggestions, embedding only those missing from the cache
+ * (or whose drafts were edited, or that were embedded with another model)
+ * @param {Array} records - Stored suggestion records
+ * @returns {Promise<Map>} - { suggestionId: { idea, content } }
+ */
+async function getCachedEmbeddings(records) {
+    const { name, model } = getEmbeddingProvider();
+    const modelKey = `${name}:${model}`;
+    const result = new Map();
+    const missing = [];
+
+    for (const record of records) {
+        const hash = createHash('sha1').update(JSON.stringify(getEmbeddingTexts(record.suggestion))).digest('hex');
+        const cached = embeddingCache.get(record.id);
+
+        if (cached && cached.model === modelKey && cached.hash === hash) {
+            result.set(record.id, { idea: decodeVector(cached.idea), content: decodeVector(cached.content) });
+        } else {
+            missing.push({ record, hash });
+        }
+    }
+
+    if (missing.length > 0) {
+        const embedded = await embedSuggestions(missing.map(({ record }) => record.suggestion));
+        missing.forEach(({ record, hash }, idx) => {
+            result.set(record.id, embedded[idx]);
+            embeddingCache.set(record.id, {
+                model: modelKey,
+                hash,
+                idea: encodeVector(embedded[idx].idea),
+                content: encodeVector(embedded[idx].content),
+            });
+        });
+        console.log(`[Deduplication] Embedded ${missing.length} stored suggestion(s) with ${modelKey}`);
+    }
+
+    // Drop cache entries for suggestions that were pruned from history (in any workspace)
+    const ids = new Set(getSuggestionRecords().map(record => record.id));
+    for (const id of embeddingCache.keys()) {
+        if (!ids.has(id)) embeddingCache.delete(id);
+    }
+
+    return result;
+}
+
+/**
+ * Find the most similar stored suggestion by embedding similarity
+ * @param {Object} suggestion - New suggestion
+ * @param {string} teamId - Workspace whose suggestions are compared
+ * @returns {Promise<Object>} - { similarity, matchedWith }
+ */
+async function findEmbeddingMatch(suggestion, teamId) {
+    const records = getSuggestionRecords(teamId);
+    const [embeddings, [target]] = await Promise.all([
+        getCachedEmbeddings(records),
+        embedSuggestions([suggestion]),
+    ]);
+
+    let maxSimilarity = 0;
+    let bestMatch = null;
+
+    for (const record of records) {
+        const stored = embeddings.get(record.id);
+        if (!stored) continue;
+
+        const similarity = IDEA_WEIGHT * cosineSimilarity(target.idea, stored.idea) +
+            (1 - IDEA_WEIGHT) * cosineSimilarity(target.content, stored.content);
+
+        if (similarity > maxSimilarity) {
+            maxSimilarity = similarity;
+            bestMatch = record.suggestion;
+        }
+    }
+
+    return { similarity: Math.min(maxSimilarity, 1), matchedWith: bestMatch };
+}
+
+/**
+ * Check if a suggestion is a duplicate of any stored suggestion
+ * Falls back to Jaccard if the embedding provider fails.
+ * @param {Object} suggestion - New suggestion to check
+ * @param {Object} options - { teamId, channelId } (the workspace to compare against, the channel's threshold)
+ * @returns {Promise<Object>} - { isDuplicate: boolean, similarity: number, matchedWith: Object|null, backend }
+ */
+export async function checkDuplicate(suggestion, options = {}) {
+    const { teamId = null, channelId = null } = options;
+
+    if (getSuggestionRecords(teamId).length === 0) {
+        return { isDuplicate: false, similarity: 0, matchedWith: null, backend: DEDUP_BACKEND };
+    }
+
+    let backend = DEDUP_BACKEND;
+    let match;
+
+    if (backend === 'embedding') {
+        try {
+            match = await findEmbeddingMatch(suggestion, teamId);
+        } catch (error) {
+            console.error('[Deduplication] Embedding failed, falling back to Jaccard:', error.message);
+            backend = 'jaccard';
+        }
+    }
+    if (!match) {
+        match = findJaccardMatch(suggestion, teamId);
+    }
+
+    // A fallback to Jaccard uses the Jaccard default unless the channel sets its own threshold
+    const threshold = backend === DEDUP_BACKEND
+        ? getSimilarityThreshold(teamId, channelId)
+        : channelThresholds.get(teamKey(teamId, channelId)) ?? JACCARD_THRESHOLD;
+    const isDuplicate = match.similarity >= threshold;
 
     if (isDuplicate) {
-        console.log(`[Deduplication] Duplicate found (${(maxSimilarity * 100).toFixed(1)}% similarity)`);
+        recordDuplicate(backend);
+        console.log(`[Deduplication] Duplicate found (${(match.similarity * 100).toFixed(1)}% similarity, ${backend})`);
     }
 
     return {
         isDuplicate,
-        similarity: maxSimilarity,
-        matchedWith: bestMatch,
+        similarity: match.similarity,
+        matchedWith: match.matchedWith,
+        backend,
     };
 }
 
 /**
  * Filter out duplicate suggestions from an array
  * @param {Array} suggestions - Array of suggestions
- * @returns {Array} - Filtered array with duplicates removed
+ * @param {Object} options - { teamId, channelId }
+ * @returns {Promise<Array>} - Filtered array with duplicates removed
  */
-export function filterDuplicates(suggestions) {
-    return suggestions.filter(suggestion => {
-        const { isDuplicate } = checkDuplicate(suggestion);
-        return !isDuplicate;
-    });
+export async function filterDuplicates(suggestions, options = {}) {
+    const unique = [];
+    for (const suggestion of suggestions) {
+        const { isDuplicate } = await checkDuplicate(suggestion, options);
+        if (!isDuplicate) unique.push(suggestion);
+    }
+    return unique;
 }
 
 /**
- * Get the similarity threshold
+ * Get the similarity threshold for a channel
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID (optional)
  * @returns {number}
  */
-export function getSimilarityThreshold() {
-    return SIMILARITY_THRESHOLD;
+export function getSimilarityThreshold(teamId, channelId) {
+    return (channelId && channelThresholds.get(teamKey(teamId, channelId))) ?? DEFAULT_THRESHOLD;
+}
+
+/**
+ * Set a channel's similarity threshold
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID
+ * @param {number} threshold - 0-1
+ */
+export function setSimilarityThreshold(teamId, channelId, threshold) {
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+        throw new Error('Threshold must be a number between 0 and 1 (e.g. 0.85).');
+    }
+    channelThresholds.set(teamKey(teamId, channelId), threshold);
+    console.log(`[Deduplication] Threshold for ${teamId}/${channelId} set to ${threshold}`);
+}
+
+/**
+ * Remove a channel's threshold (falls back to DEDUP_THRESHOLD or the backend default)
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID
+ * @returns {boolean} - Whether a threshold was set
+ */
+export function resetSimilarityThreshold(teamId, channelId) {
+    return channelThresholds.delete(teamKey(teamId, channelId));
+}
+
+/**
+ * Get the active similarity backend
+ * @returns {string} - 'jaccard' or 'embedding'
+ */
+export function getDedupBackend() {
+    return DEDUP_BACKEND;
 }
@@ -0,0 +1,213 @@
+/**
+ * Embedding Provider Registry
+ *
+ * Every provider implements the same contract:
+ *   embed(texts) => Promise<Array<number[]>>   (one vector per text, same order)
+ *
+ * Built-in providers:
+ * - local:             Offline hashed word/bigram vectors (no API calls; catches reworded
+ *                      text with shared vocabulary, not true paraphrases)
+ * - openai:            OpenAI embeddings API
+ * - openai-compatible: Any OpenAI-compatible /embeddings endpoint at EMBEDDING_BASE_URL (Ollama, vLLM, ...)
+ *
+ * Vectors are cached per suggestion (see deduplication.js), keyed by provider + model.
+ */
+
+import OpenAI from 'openai';
+
+const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || 'local';
+
+const EMBEDDING_CONFIG = {
+    model: process.env.EMBEDDING_MODEL || null,
+    baseURL: process.env.EMBEDDING_BASE_URL || null,
+};
+
+// Registered providers: { name: { requiredEnv, defaultModel, create(config) } }
+const providers = new Map();
+
+// Provider instance for EMBEDDING_PROVIDER, created on first use
+let activeProvider = null;
+
+/**
+ * Register an embedding provider
+ * @param {string} name - Provider name (selected via EMBEDDING_PROVIDER)
+ * @param {Object} definition - { requiredEnv: string[], defaultModel: string, defaultThreshold: number, create(config) => { embed } }
+ *   defaultThreshold is the duplicate threshold that suits the provider's similarity scale
+ */
+export function registerEmbeddingProvider(name, definition) {
+    providers.set(name, definition);
+}
+
+// Local provider: feature hashing, so no model download or API key is needed
+const LOCAL_DIMENSIONS = 1024;
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'i', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'this', 'to', 'was', 'we', 'were', 'with', 'you',
+]);
+
+/**
+ * Hash a string to a vector index (FNV-1a)
+ * @param {string} text
+ * @returns {number}
+ */
+function hashToIndex(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) % LOCAL_DIMENSIONS;
+}
+
+/**
+ * Build a normalized hashed vector from word unigrams and bigrams
+ * @param {string} text
+ * @returns {number[]}
+ */
+function localEmbed(text) {
+    const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+    const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        // Crude stemming so "caching"/"cached"/"caches" land together
+        .map(word => word.replace(/(ing|ed|es|s)$/, '') || word)
+        .filter(word => word.length > 1 && !STOPWORDS.has(word));
+
+    const features = [...words, ...words.slice(1).map((word, idx) => `${words[idx]} ${word}`)];
+    for (const feature of features) {
+        vector[hashToIndex(feature)] += 1;
+    }
+
+    // Dampen repeated terms, then L2-normalize
+    const damped = vector.map(count => (count > 0 ? 1 + Math.log(count) : 0));
+    const norm = Math.sqrt(damped.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return damped.map(value => value / norm);
+}
+
+registerEmbeddingProvider('local', {
+    requiredEnv: [],
+    defaultModel: `hashed-${LOCAL_DIMENSIONS}`,
+    // Only shared vocabulary counts, so reworded duplicates score lower than with real models
+    defaultThreshold: 0.5,
+    create: (config) => ({
+        name: 'local',
+        model: config.model,
+        embed: async (texts) => texts.map(localEmbed),
+    }),
+});
+
+/**
+ * Build an adapter for an OpenAI-style embeddings endpoint
+ * @param {string} name - Provider name
+ * @param {OpenAI} client - Configured OpenAI SDK client
+ * @param {Object} config - { model }
+ * @returns {Object} - Provider instance
+ */
+function createOpenAIEmbeddingAdapter(name, client, config) {
+    return {
+        name,
+        model: config.model,
+        async embed(texts) {
+            const response = await client.embeddings.create({ model: config.model, input: texts });
+            return [...response.data]
+                .sort((a, b) => a.index - b.index)
+                .map(item => item.embedding);
+        },
+    };
+}
+
+registerEmbeddingProvider('openai', {
+    requiredEnv: ['OPENAI_API_KEY'],
+    defaultModel: 'text-embedding-3-small',
+    defaultThreshold: 0.85,
+    create: (config) => createOpenAIEmbeddingAdapter('openai', new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+        ...(config.baseURL && { baseURL: config.baseURL }),
+    }), config),
+});
+
+registerEmbeddingProvider('openai-compatible', {
+    requiredEnv: ['EMBEDDING_BASE_URL'],
+    defaultModel: 'nomic-embed-text',
+    defaultThreshold: 0.85,
+    create: (config) => createOpenAIEmbeddingAdapter('openai-compatible', new OpenAI({
+        // Local servers usually ignore the key, but the SDK requires one
+        apiKey: process.env.EMBEDDING_API_KEY || 'not-needed',
+        baseURL: config.baseURL,
+    }), config),
+});
+
+/**
+ * Get the configured embedding provider instance
+ * @returns {Object} - { name, model, embed() }
+ */
+export function getEmbeddingProvider() {
+    if (!activeProvider) {
+        const definition = providers.get(EMBEDDING_PROVIDER);
+        if (!definition) {
+            throw new Error(`Unknown embedding provider: ${EMBEDDING_PROVIDER}. Available: ${Array.from(providers.keys()).join(', ')}`);
+        }
+        activeProvider = definition.create({
+            ...EMBEDDING_CONFIG,
+            model: EMBEDDING_CONFIG.model || definition.defaultModel,
+        });
+    }
+    return activeProvider;
+}
+
+/**
+ * Get the default duplicate threshold for the configured provider
+ * @returns {number}
+ */
+export function getEmbeddingDefaultThreshold() {
+    return providers.get(EMBEDDING_PROVIDER)?.defaultThreshold ?? 0.85;
+}
+
+/**
+ * Check if the configured embedding provider has everything it needs
+ * @returns {boolean}
+ */
+export function isEmbeddingConfigured() {
+    const definition = providers.get(EMBEDDING_PROVIDER);
+    return !!definition && definition.requiredEnv.every(name => !!process.env[name]);
+}
+
+/**
+ * Cosine similarity of two vectors (0 for mismatched or empty vectors)
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Encode a vector compactly for storage (base64 Float32)
+ * @param {number[]} vector
+ * @returns {string}
+ */
+export function encodeVector(vector) {
+    return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+/**
+ * Decode a stored vector
+ * @param {string} encoded - Output of encodeVector
+ * @returns {number[]}
+ */
+export function decodeVector(encoded) {
+    // Copy into a fresh (aligned) buffer; decoded Buffers may sit at any offset in a shared pool
+    const bytes = new Uint8Array(Buffer.from(encoded, 'base64'));
+    return Array.from(new Float32Array(bytes.buffer));
+}
+
+export { EMBEDDING_PROVIDER };
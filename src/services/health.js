@@ -0,0 +1,181 @@
+/**
+ * Health Service
+ *
+ * Checks behind /health/live and /health/ready:
+ * - live:  the bot isn't wedged (Socket Mode not stuck disconnected, no scheduler job hung)
+ * - ready: Socket Mode connected, LLM configured and answering a cheap probe,
+ *          scheduler initialized, storage loaded and writable
+ *
+ * LLM probes are cached so frequent orchestrator polling doesn't hit the provider.
+ */
+
+import { isConfigured, LLM_PROVIDER } from './llm.js';
+import { getProvider } from './llmProviders.js';
+import { isAvailable, getPersistenceInfo } from './persistence.js';
+import { getSchedulerStatus } from '../jobs/scheduler.js';
+
+// How long a successful LLM probe is reused (failed probes are retried sooner)
+const LLM_PROBE_TTL_MS = (parseInt(process.env.HEALTH_LLM_PROBE_TTL_SECONDS, 10) || 300) * 1000;
+const LLM_PROBE_RETRY_MS = 30 * 1000;
+const LLM_PROBE_TIMEOUT_MS = 10 * 1000;
+
+// Socket Mode reconnects on its own; staying disconnected longer than this means the bot is wedged
+const SOCKET_GRACE_MS = (parseInt(process.env.HEALTH_SOCKET_GRACE_SECONDS, 10) || 120) * 1000;
+
+// A scheduler job running longer than this is considered hung
+const MAX_JOB_MS = (parseInt(process.env.HEALTH_MAX_JOB_MINUTES, 10) || 60) * 60 * 1000;
+
+// Socket Mode connection state ('unknown' until trackSocketMode is called)
+const socketMode = { state: 'unknown', since: Date.now() };
+
+// Last LLM probe: { ok, latencyMs, checkedAt, error }
+let llmProbe = null;
+let pendingProbe = null;
+
+/**
+ * Follow a Socket Mode client's connection lifecycle
+ * @param {Object} socketClient - SocketModeClient (SocketModeReceiver.client)
+ */
+export function trackSocketMode(socketClient) {
+    for (const state of ['connecting', 'connected', 'reconnecting', 'disconnecting', 'disconnected']) {
+        socketClient.on(state, () => {
+            socketMode.state = state;
+            socketMode.since = Date.now();
+        });
+    }
+}
+
+/**
+ * Format an epoch-ms timestamp for health output
+ * @param {number|null} ms
+ * @returns {string|null}
+ */
+function toIso(ms) {
+    return ms ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Get the Socket Mode state for health output
+ * @returns {Object} - { state, since }
+ */
+function getSocketModeStatus() {
+    return { state: socketMode.state, since: toIso(socketMode.since) };
+}
+
+/**
+ * Get scheduler status with readable timestamps
+ * @returns {Object}
+ */
+function getSchedulerHealth() {
+    const { jobs, ...status } = getSchedulerStatus();
+    return {
+        ...status,
+        jobs: Object.fromEntries(Object.entries(jobs).map(([job, run]) => [job, {
+            ...run,
+            lastStartedAt: toIso(run.lastStartedAt),
+            lastFinishedAt: toIso(run.lastFinishedAt),
+        }])),
+    };
+}
+
+/**
+ * Ask the LLM provider for a cheap response (model list, no tokens)
+ * @returns {Promise<Object>} - { ok, latencyMs, checkedAt, error }
+ */
+async function runLlmProbe() {
+    const startedAt = Date.now();
+    let timer = null;
+
+    try {
+        const provider = getProvider();
+        const probe = provider.probe
+            ? provider.probe()
+            : provider.complete({ messages: [{ role: 'user', content: 'ping' }], maxTokens: 1 });
+
+        await Promise.race([
+            probe,
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`Probe timed out after ${LLM_PROBE_TIMEOUT_MS / 1000}s`)), LLM_PROBE_TIMEOUT_MS);
+            }),
+        ]);
+        llmProbe = { ok: true, latencyMs: Date.now() - startedAt, checkedAt: Date.now(), error: null };
+    } catch (error) {
+        console.warn('[Health] LLM probe failed:', error.message);
+        llmProbe = { ok: false, latencyMs: Date.now() - startedAt, checkedAt: Date.now(), error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+
+    return llmProbe;
+}
+
+/**
+ * Get a recent LLM probe result, probing again once the cached one expires
+ * @returns {Promise<Object>} - { ok, latencyMs, checkedAt, error }
+ */
+async function probeLlm() {
+    const ttl = llmProbe?.ok ? LLM_PROBE_TTL_MS : LLM_PROBE_RETRY_MS;
+    if (llmProbe && Date.now() - llmProbe.checkedAt < ttl) {
+        return llmProbe;
+    }
+
+    // Concurrent health requests share one probe
+    pendingProbe ??= runLlmProbe().finally(() => { pendingProbe = null; });
+    return pendingProbe;
+}
+
+/**
+ * Liveness: is the process working, or wedged and worth restarting?
+ * @returns {Object} - { ok, uptime, socketMode, hungJobs }
+ */
+export function checkLiveness() {
+    const now = Date.now();
+
+    // 'unknown' means Socket Mode isn't tracked (e.g. the HTTP app running on its own)
+    const socketStuck = !['connected', 'unknown'].includes(socketMode.state) && now - socketMode.since > SOCKET_GRACE_MS;
+    const hungJobs = Object.entries(getSchedulerStatus().jobs)
+        .filter(([, run]) => run.running && now - run.lastStartedAt > MAX_JOB_MS)
+        .map(([job]) => job);
+
+    return {
+        ok: !socketStuck && hungJobs.length === 0,
+        uptime: process.uptime(),
+        socketMode: getSocketModeStatus(),
+        hungJobs,
+    };
+}
+
+/**
+ * Readiness: can the bot do its work right now?
+ * @returns {Promise<Object>} - { ok, checks: { socketMode, llm, scheduler, persistence } }
+ */
+export async function checkReadiness() {
+    const configured = isConfigured();
+    const probe = configured ? await probeLlm() : null;
+    const scheduler = getSchedulerHealth();
+    const storageOk = isAvailable();
+    const { backend, schemaVersion, lastSavedAt, lastSaveError } = getPersistenceInfo();
+
+    const checks = {
+        socketMode: { ok: socketMode.state === 'connected', ...getSocketModeStatus() },
+        llm: {
+            ok: configured && probe.ok,
+            provider: LLM_PROVIDER,
+            configured,
+            probe: probe && { ...probe, checkedAt: toIso(probe.checkedAt) },
+        },
+        scheduler: { ok: scheduler.initialized, ...scheduler },
+        persistence: {
+            ok: storageOk,
+            backend,
+            schemaVersion,
+            lastSavedAt: toIso(lastSavedAt),
+            lastSaveError,
+        },
+    };
+
+    return {
+        ok: Object.values(checks).every(check => check.ok),
+        checks,
+    };
+}
@@ -0,0 +1,326 @@
+/**
+ * Job Queue Service
+ *
+ * In-process queue for analysis work (scheduled runs and slash commands):
+ * - One job per channel at a time; later jobs wait, or are skipped with skipIfBusy
+ * - At most JOB_CONCURRENCY jobs running at once
+ * - Timeouts (JOB_TIMEOUT_MINUTES) and cancellation, through the AbortSignal each job receives
+ * - Status of queued, running and recently finished jobs
+ *
+ * LLM calls are limited separately (LLM_CONCURRENCY, see withLlmSlot): one job can make several.
+ * A cancelled or timed-out job keeps its channel until its work actually stops, so a new job
+ * never overlaps it.
+ */
+
+import { randomUUID } from 'crypto';
+import { teamKey } from './persistence.js';
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_TIMEOUT_MS = (parseInt(process.env.JOB_TIMEOUT_MINUTES, 10) || 15) * 60 * 1000;
+const LLM_CONCURRENCY = parseInt(process.env.LLM_CONCURRENCY, 10) || 2;
+
+// Finished jobs kept for status queries
+const MAX_FINISHED_JOBS = 100;
+
+// Jobs by ID, oldest first: { id: { id, name, teamId, channelId, source, requestedBy, status, error,
+//   createdAt, startedAt, finishedAt, cancelledBy } }
+// status: queued | running | succeeded | failed | cancelled | timed_out | skipped
+const jobs = new Map();
+
+// Run state of unfinished jobs: { id: { run, timeoutMs, controller, timer, resolve, reject, settled } }
+const handles = new Map();
+
+// Queued job IDs, in order
+const pending = [];
+
+// Channels with a running job: Set of "teamId:channelId"
+const busyChannels = new Set();
+let runningCount = 0;
+
+// LLM slots: calls in flight and callers waiting for a slot
+let llmActive = 0;
+const llmWaiters = [];
+
+/**
+ * Copy a job for callers (the queue's own record stays unchanged)
+ * @param {Object} job
+ * @returns {Object}
+ */
+function toStatus(job) {
+    return { ...job };
+}
+
+/**
+ * Get the lock key of a job's channel
+ * @param {Object} job
+ * @returns {string|null}
+ */
+function channelKey(job) {
+    return job.channelId ? teamKey(job.teamId, job.channelId) : null;
+}
+
+/**
+ * Drop the oldest finished jobs over MAX_FINISHED_JOBS
+ */
+function pruneFinishedJobs() {
+    const finished = Array.from(jobs.values()).filter(job => job.finishedAt && !handles.has(job.id));
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+        jobs.delete(job.id);
+    }
+}
+
+/**
+ * Settle a job's caller promise (once: cancellation settles it before the work returns)
+ * @param {Object} handle - Job run state
+ * @param {Error} error - Rejection, or null to resolve
+ * @param {*} result - Run result
+ */
+function settleCaller(handle, error, result = null) {
+    if (handle.settled) return;
+    handle.settled = true;
+
+    if (error) {
+        handle.reject(error);
+    } else {
+        handle.resolve(result);
+    }
+}
+
+/**
+ * Start a queued job
+ * @param {Object} job
+ */
+function startJob(job) {
+    const handle = handles.get(job.id);
+    const key = channelKey(job);
+
+    job.status = 'running';
+    job.startedAt = Date.now();
+    if (key) busyChannels.add(key);
+    runningCount++;
+
+    handle.controller = new AbortController();
+    handle.timer = setTimeout(() => {
+        abortJob(job, 'timed_out', new Error(`Analysis timed out after ${Math.round(handle.timeoutMs / 60000)} minute(s)`));
+    }, handle.timeoutMs);
+    handle.timer.unref?.();
+
+    Promise.resolve()
+        .then(() => handle.run(handle.controller.signal))
+        .then(
+            (result) => {
+                if (job.status === 'running') job.status = 'succeeded';
+                settleCaller(handle, null, result);
+            },
+            (error) => {
+                if (job.status === 'running') {
+                    job.status = 'failed';
+                    job.error = error?.message || String(error);
+                }
+                settleCaller(handle, error instanceof Error ? error : new Error(String(error)));
+            }
+        )
+        .finally(() => {
+            clearTimeout(handle.timer);
+            job.finishedAt = Date.now();
+            handles.delete(job.id);
+            if (key) busyChannels.delete(key);
+            runningCount--;
+
+            pruneFinishedJobs();
+            drain();
+        });
+}
+
+/**
+ * Start queued jobs while there are free slots and their channels are free
+ */
+function drain() {
+    for (let idx = 0; idx < pending.length && runningCount < JOB_CONCURRENCY; idx++) {
+        const job = jobs.get(pending[idx]);
+        const key = channelKey(job);
+        if (key && busyChannels.has(key)) continue;
+
+        pending.splice(idx, 1);
+        idx--;
+        startJob(job);
+    }
+}
+
+/**
+ * Stop a running job: its signal is aborted and its caller rejected right away
+ * (the channel stays locked until the job's work returns)
+ * @param {Object} job
+ * @param {string} status - 'cancelled' or 'timed_out'
+ * @param {Error} error - Rejection for the caller
+ */
+function abortJob(job, status, error) {
+    const handle = handles.get(job.id);
+    if (!handle || job.status !== 'running') return;
+
+    job.status = status;
+    job.error = error.message;
+    console.warn(`[Jobs] ${job.name} job ${job.id} (${job.teamId}/${job.channelId}) ${status === 'timed_out' ? 'timed out' : 'cancelled'}`);
+
+    handle.controller.abort(error);
+    settleCaller(handle, error);
+}
+
+/**
+ * Queue a job
+ * @param {Object} params
+ * @param {string} params.name - Job kind (e.g. 'daily', 'command')
+ * @param {string} params.teamId - Slack team ID
+ * @param {string} params.channelId - Channel the job works on (locked while it runs)
+ * @param {string} params.source - Description for status listings
+ * @param {string} params.requestedBy - User ID, for jobs started from Slack
+ * @param {Function} params.run - (signal) => Promise; should stop when signal aborts
+ * @param {number} params.timeoutMs - Overrides JOB_TIMEOUT_MINUTES
+ * @param {boolean} params.skipIfBusy - Skip instead of waiting when the channel already has a job
+ * @returns {Object} - { job, result }: job status right after queueing (queued, running or skipped),
+ *   and a promise for the run's result (rejects if the job fails, is cancelled or times out; null if skipped)
+ */
+export function enqueueJob({ name, teamId, channelId = null, source = null, requestedBy = null, run, timeoutMs = JOB_TIMEOUT_MS, skipIfBusy = false }) {
+    const job = {
+        id: randomUUID(),
+        name,
+        teamId,
+        channelId,
+        source,
+        requestedBy,
+        status: 'queued',
+        error: null,
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        cancelledBy: null,
+    };
+    jobs.set(job.id, job);
+
+    const key = channelKey(job);
+    if (skipIfBusy && key && (busyChannels.has(key) || pending.some(id => channelKey(jobs.get(id)) === key))) {
+        job.status = 'skipped';
+        job.finishedAt = job.createdAt;
+        console.log(`[Jobs] Skipping ${name} job for ${teamId}/${channelId}: the channel already has a job`);
+        pruneFinishedJobs();
+        return { job: toStatus(job), result: Promise.resolve(null) };
+    }
+
+    const result = new Promise((resolve, reject) => {
+        handles.set(job.id, { run, timeoutMs, resolve, reject, settled: false });
+    });
+    pending.push(job.id);
+    drain();
+
+    return { job: toStatus(job), result };
+}
+
+/**
+ * Cancel a queued or running job
+ * @param {string} id - Job ID
+ * @param {Object} meta - { userId, teamId } (teamId limits cancellation to that workspace's jobs)
+ * @returns {Object|null} - Job status, or null if not found
+ * @throws {Error} - statusCode 409 if the job already finished
+ */
+export function cancelJob(id, meta = {}) {
+    const job = jobs.get(id);
+    if (!job || (meta.teamId && job.teamId !== meta.teamId)) return null;
+
+    if (!['queued', 'running'].includes(job.status)) {
+        const error = new Error(`Job already ${job.status.replace('_', ' ')}`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    job.cancelledBy = meta.userId || null;
+    const reason = new Error('Analysis cancelled');
+
+    if (job.status === 'queued') {
+        pending.splice(pending.indexOf(id), 1);
+        job.status = 'cancelled';
+        job.error = reason.message;
+        job.finishedAt = Date.now();
+        settleCaller(handles.get(id), reason);
+        handles.delete(id);
+        console.log(`[Jobs] Cancelled queued ${job.name} job ${id}`);
+    } else {
+        abortJob(job, 'cancelled', reason);
+    }
+
+    return toStatus(job);
+}
+
+/**
+ * Get a job's status
+ * @param {string} id - Job ID
+ * @returns {Object|null}
+ */
+export function getJob(id) {
+    const job = jobs.get(id);
+    return job ? toStatus(job) : null;
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - { teamId, status }
+ * @returns {Array}
+ */
+export function listJobs({ teamId = null, status = null } = {}) {
+    return Array.from(jobs.values())
+        .filter(job => (!teamId || job.teamId === teamId) && (!status || job.status === status))
+        .reverse()
+        .map(toStatus);
+}
+
+/**
+ * Run an LLM call once one of the LLM_CONCURRENCY slots is free
+ * @param {Function} fn - () => Promise
+ * @param {AbortSignal} signal - Stops waiting for a slot when aborted (optional)
+ * @returns {Promise<*>} - fn's result
+ */
+export async function withLlmSlot(fn, signal = null) {
+    signal?.throwIfAborted();
+
+    if (llmActive >= LLM_CONCURRENCY) {
+        await new Promise((resolve, reject) => {
+            const waiter = { resolve };
+            const onAbort = () => {
+                llmWaiters.splice(llmWaiters.indexOf(waiter), 1);
+                reject(signal.reason);
+            };
+            waiter.resolve = () => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            llmWaiters.push(waiter);
+        });
+    } else {
+        llmActive++;
+    }
+
+    try {
+        return await fn();
+    } finally {
+        // Hand the slot straight to the next caller, if any
+        const next = llmWaiters.shift();
+        if (next) {
+            next.resolve();
+        } else {
+            llmActive--;
+        }
+    }
+}
+
+/**
+ * Get queue counts (for metrics)
+ * @returns {Object} - { queued, running, llmActive, llmWaiting }
+ */
+export function getQueueStats() {
+    return {
+        queued: pending.length,
+        running: runningCount,
+        llmActive,
+        llmWaiting: llmWaiters.length,
+    };
+}
@@ -1,43 +1,61 @@
 /**
  * LLM Service
  * 
- * Configurable LLM integration supporting OpenAI and Claude.
+ * Configurable LLM integration (providers live in llmProviders.js).
  * Analyzes conversation context to identify post-worthy moments.
  */
 
-import OpenAI from 'openai';
+import { redactMessages } from './redaction.js';
+import { getProvider, getModelName, isProviderConfigured, getRequiredEnv, LLM_PROVIDER } from './llmProviders.js';
+import {
+    INSIGHTS_SCHEMA,
+    buildAnalysisSchema,
+    maxIdeasFor,
+    validateAnalysis,
+    validateInsights,
+    parseJsonResponse,
+} from './analysisSchema.js';
+import { estimateTokens, chunkMessages, groupByThread, isThreadReply } from './conversationChunker.js';
+import { getChannelTemplate, renderTemplate } from './promptTemplates.js';
+import { resolveVoice, buildVoiceInstructions, checkVoice } from './voiceProfiles.js';
+import { getChannelPlatforms, getPostLimit, normalizeDraft } from './platforms.js';
+import { recordLlmInvalidResponse } from './metrics.js';
+import { withLlmSlot } from './jobQueue.js';
 
-const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+// Extra attempts after an unparseable or invalid response (validation errors are fed back)
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS, 10) || 2;
 
-// Initialize OpenAI client (used for both OpenAI and Claude-compatible APIs)
-let openaiClient = null;
-
-function getOpenAIClient() {
-    if (!openaiClient) {
-        if (LLM_PROVIDER === 'claude') {
-            // Anthropic API via OpenAI-compatible endpoint
-            openaiClient = new OpenAI({
-                apiKey: process.env.CLAUDE_API_KEY,
-                baseURL: 'https://api.anthropic.com/v1/',
-                defaultHeaders: {
-                    'anthropic-version': '2023-06-01',
-                },
-            });
-        } else {
-            openaiClient = new OpenAI({
-                apiKey: process.env.OPENAI_API_KEY,
-            });
-        }
-    }
-    return openaiClient;
-}
+// Conversations above this estimated size are analyzed with map-reduce over chunks
+const INPUT_TOKEN_BUDGET = parseInt(process.env.LLM_INPUT_TOKEN_BUDGET, 10) || 12000;
+const CHUNK_TOKEN_BUDGET = parseInt(process.env.LLM_CHUNK_TOKEN_BUDGET, 10) || 6000;
+// Only the most recent chunks are analyzed, so cost and latency stay bounded
+const MAX_CHUNKS = parseInt(process.env.LLM_MAX_CHUNKS, 10) || 8;
+const INSIGHTS_MAX_TOKENS = 800;
 
 /**
- * System prompt for analyzing conversations
+ * Build the system prompt for analyzing conversations
+ * @param {Array} platforms - Platform definitions to draft for (see platforms.js)
+ * @returns {string}
  */
-const SYSTEM_PROMPT = `You are an expert content strategist helping founders and product teams identify post-worthy moments from their Slack conversations.
+function buildSystemPrompt(platforms) {
+    const platformList = platforms.map(platform => platform.label).join(', ');
+    const platformRules = platforms
+        .map(platform => `- ${platform.id} (${platform.label}, max ${getPostLimit(platform)} chars${platform.thread ? ` per tweet, up to ${platform.thread.maxPosts} tweets` : ''}): ` +
+            `${platform.formatting} Hashtags: ${platform.hashtags}`)
+        .join('\n');
+    const draftFormat = platforms
+        .map(platform => (platform.thread
+            ? `        "${platform.id}": ["First tweet, max ${getPostLimit(platform)} chars", "Next tweet", "..."]`
+            : `        "${platform.id}": "${platform.label} draft, max ${platform.charLimit} chars"`))
+        .join(',\n');
+
+    return `You are an expert content strategist helping founders and product teams identify post-worthy moments from their Slack conversations.
+
+Your job is to analyze the conversation and identify moments that would make compelling posts for: ${platformList}.
+
+Messages indented with "↳" are replies in a thread under the message above them; treat each thread as one discussion.
 
-Your job is to analyze the conversation and identify moments that would make compelling LinkedIn or X (Twitter) posts.
+Some details have been replaced with placeholders like [CUSTOMER_1], [EMAIL_1] or [SECRET_1]. Keep placeholders exactly as written in your drafts and never guess what they stand for.
 
 FOCUS ON:
 - Real insights and learnings
@@ -54,87 +72,260 @@ EXPLICITLY AVOID:
 - Logistics, scheduling, or mundane updates
 - Generic advice without specific context
 
+Write one draft per platform, following each platform's rules:
+${platformRules}
+
+A conversation may contain several distinct stories. Return each one as a separate idea (at most ${maxIdeasFor(platforms)}), ranked from strongest to weakest. Never split one story into several ideas.
+
+RESPONSE FORMAT:
+Respond in valid JSON with this structure:
+{
+  "reasoning": "Brief overview of what was found (or why nothing is post-worthy)",
+  "ideas": [
+    {
+      "title": "Short title for the idea (max 80 chars)",
+      "score": "Integer 1-10: how strong and post-worthy this idea is",
+      "reasoning": "One line on why this idea works",
+      "drafts": {
+${draftFormat}
+      }
+    }
+  ]
+}
+
+If the conversation doesn't contain anything post-worthy, return an empty ideas array and explain why in reasoning.`;
+}
+
+/**
+ * System prompt for the map step: extracting insights from one part of a long conversation
+ */
+const INSIGHTS_SYSTEM_PROMPT = `You are helping a content strategist review a long Slack conversation one part at a time.
+
+Extract the notable insights from this part: real learnings, product decisions and their reasoning, tradeoffs, technical discoveries, honest team moments. Ignore logistics, scheduling and small talk.
+
+Messages indented with "↳" are replies in a thread under the message above them.
+
+Some details have been replaced with placeholders like [CUSTOMER_1] or [EMAIL_1]. Keep placeholders exactly as written.
+
 RESPONSE FORMAT:
 Respond in valid JSON with this structure:
 {
-  "isPostWorthy": boolean,
-  "reasoning": "Brief explanation of why this is (or isn't) post-worthy",
-  "linkedInDraft": "Full LinkedIn post draft (or null if not post-worthy)",
-  "xDraft": "Full X/Twitter post draft, max 280 chars (or null if not post-worthy)"
+  "insights": [
+    {
+      "summary": "One sentence describing the insight",
+      "details": "Key facts, numbers and short quotes needed to write about it",
+      "strength": "Integer 1-10: how post-worthy this insight is"
+    }
+  ]
 }
 
-If the conversation doesn't contain anything post-worthy, set isPostWorthy to false and explain why in reasoning.`;
+Return at most 5 insights. If nothing in this part is notable, return an empty insights array.`;
+
+/**
+ * Get the speaker label for a message (resolved name if humanized, else raw user ID)
+ * @param {Object} msg - Message object
+ * @returns {string}
+ */
+function formatSpeaker(msg) {
+    return msg.userName || `User ${msg.user}`;
+}
 
 /**
  * Format messages into a conversation context string
+ * Thread replies are indented under their parent message.
  * @param {Array} messages - Array of message objects
  * @returns {string}
  */
 function formatConversation(messages) {
-    return messages
-        .map((msg, idx) => `[${idx + 1}] User ${msg.user}: ${msg.text}`)
+    return groupByThread(messages)
+        .map((msg, idx) => isThreadReply(msg)
+            ? `    ↳ [${idx + 1}] ${formatSpeaker(msg)} (thread reply): ${msg.text}`
+            : `[${idx + 1}] ${formatSpeaker(msg)}: ${msg.text}`)
         .join('\n\n');
 }
 
+/**
+ * Fit each idea's drafts to their platform's shape (see normalizeDraft)
+ * @param {Object} result - Parsed analysis response
+ * @param {Array} platforms - Platform definitions drafts were requested for
+ * @returns {Object}
+ */
+function normalizeIdeas(result, platforms) {
+    if (!Array.isArray(result?.ideas)) return result;
+
+    return {
+        ...result,
+        ideas: result.ideas.map(idea => (idea?.drafts && typeof idea.drafts === 'object'
+            ? {
+                ...idea,
+                drafts: Object.fromEntries(Object.entries(idea.drafts).map(([platformId, draft]) => [
+                    platformId,
+                    normalizeDraft(platforms.find(platform => platform.id === platformId), draft),
+                ])),
+            }
+            : idea)),
+    };
+}
+
+/**
+ * Request a JSON response and validate it, retrying with the errors fed back
+ * @param {Object} params
+ * @param {string} params.system - System prompt
+ * @param {string} params.prompt - User prompt
+ * @param {Object} params.responseSchema - { name, schema } for provider structured-output modes
+ * @param {Function} params.validate - (result) => Array<string> of validation errors
+ * @param {Function} params.normalize - Optional (result) => result, applied before validation
+ * @param {number} params.maxTokens - Optional output token cap (defaults to LLM_MAX_TOKENS)
+ * @param {AbortSignal} params.signal - Aborts the request (optional)
+ * @returns {Promise<Object>} - Parsed, valid result
+ * @throws {Error} - If no valid response is produced within MAX_REPAIR_ATTEMPTS retries
+ */
+async function completeJson({ system, prompt, responseSchema, validate, normalize, maxTokens, signal }) {
+    const messages = [{ role: 'user', content: prompt }];
+    let lastErrors = [];
+
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        // Waits for one of the LLM_CONCURRENCY slots (see jobQueue.js)
+        const { content } = await withLlmSlot(
+            () => getProvider().complete({ system, messages, responseSchema, maxTokens, signal }),
+            signal
+        );
+
+        if (!content) {
+            lastErrors = ['Empty response'];
+        } else {
+            try {
+                const parsed = parseJsonResponse(content);
+                const result = normalize ? normalize(parsed) : parsed;
+                lastErrors = validate(result);
+                if (lastErrors.length === 0) return result;
+            } catch (error) {
+                lastErrors = [`Response is not valid JSON: ${error.message}`];
+            }
+        }
+
+        console.warn(`[LLM] Invalid response (attempt ${attempt + 1}/${MAX_REPAIR_ATTEMPTS + 1}): ${lastErrors.join('; ')}`);
+        recordLlmInvalidResponse(getProvider().name);
+
+        messages.push(
+            { role: 'assistant', content: content || '(empty)' },
+            {
+                role: 'user',
+                content: `Your previous response was invalid:\n- ${lastErrors.join('\n- ')}\n\nRespond again with only a corrected JSON object that fixes these problems.`,
+            }
+        );
+    }
+
+    throw new Error(`Invalid LLM response after ${MAX_REPAIR_ATTEMPTS + 1} attempts: ${lastErrors.join('; ')}`);
+}
+
+/**
+ * Summarize a conversation too large for one request.
+ * Map: extract insights from each chunk. Reduce: the caller drafts posts from the combined insights.
+ * @param {Array} messages - Redacted messages
+ * @param {AbortSignal} signal - Aborts the remaining requests (optional)
+ * @returns {Promise<string>} - Insights text used in place of the conversation
+ */
+async function summarizeInChunks(messages, signal) {
+    let chunks = chunkMessages(messages, CHUNK_TOKEN_BUDGET);
+
+    if (chunks.length > MAX_CHUNKS) {
+        console.warn(`[LLM] ${chunks.length} chunks exceed LLM_MAX_CHUNKS; analyzing the latest ${MAX_CHUNKS}`);
+        chunks = chunks.slice(-MAX_CHUNKS);
+    }
+
+    console.log(`[LLM] Conversation over budget, extracting insights from ${chunks.length} chunks...`);
+
+    const sections = [];
+    for (const [idx, chunk] of chunks.entries()) {
+        const { insights } = await completeJson({
+            system: INSIGHTS_SYSTEM_PROMPT,
+            prompt: `Part ${idx + 1} of ${chunks.length}:\n\n${formatConversation(chunk)}`,
+            responseSchema: { name: 'submit_insights', schema: INSIGHTS_SCHEMA },
+            validate: validateInsights,
+            maxTokens: INSIGHTS_MAX_TOKENS,
+            signal,
+        });
+
+        if (insights.length > 0) {
+            sections.push(`Part ${idx + 1}:\n${insights
+                .map(insight => `- (strength ${insight.strength}) ${insight.summary}\n  Details: ${insight.details}`)
+                .join('\n')}`);
+        }
+    }
+
+    return `(This conversation was too long to read at once, so insights were extracted part by part, in chronological order. ` +
+        `Base your ideas on these insights.)\n\n${sections.join('\n\n') || '(No notable insights were found.)'}`;
+}
+
 /**
  * Analyze a conversation to identify post-worthy moments
+ * Message text is redacted (see redaction.js) before it is sent to the LLM.
+ * Conversations over LLM_INPUT_TOKEN_BUDGET are chunked and map-reduced.
  * @param {Array} messages - Array of message objects { user, text, timestamp }
- * @returns {Promise<Object>} - Analysis result
+ * @param {Object} options - { teamId, channelId, channelName, voice, signal }
+ *   teamId selects workspace redaction settings; teamId + channelId select the prompt template,
+ *   default voice and platforms; voice names a voice profile that overrides the channel default;
+ *   signal (an AbortSignal from the job queue) cancels the LLM requests
+ * @returns {Promise<Object>} - { isPostWorthy, reasoning, ideas: [{ title, score, reasoning, drafts: { platformId: text } }], redactions, voice }
  */
-export async function analyzeConversation(messages) {
+export async function analyzeConversation(messages, options = {}) {
     if (!messages || messages.length === 0) {
         return {
             isPostWorthy: false,
             reasoning: 'No messages to analyze.',
-            linkedInDraft: null,
-            xDraft: null,
+            ideas: [],
         };
     }
 
-    const conversationContext = formatConversation(messages);
+    const { messages: redactedMessages, placeholders } = redactMessages(messages, { teamId: options.teamId });
+    const conversationContext = formatConversation(redactedMessages);
 
-    console.log(`[LLM] Analyzing ${messages.length} messages with ${LLM_PROVIDER}...`);
+    console.log(`[LLM] Analyzing ${messages.length} messages with ${LLM_PROVIDER} (${getModelName()})...`);
 
     try {
-        const client = getOpenAIClient();
-        const model = LLM_PROVIDER === 'claude' ? 'claude-3-sonnet-20240229' : 'gpt-4o-mini';
-
-        const response = await client.chat.completions.create({
-            model,
-            messages: [
-                { role: 'system', content: SYSTEM_PROMPT },
-                {
-                    role: 'user',
-                    content: `Analyze this Slack conversation and identify any post-worthy moments:\n\n${conversationContext}`
-                },
-            ],
-            temperature: 0.7,
-            max_tokens: 1024,
+        const conversation = estimateTokens(conversationContext) <= INPUT_TOKEN_BUDGET
+            ? conversationContext
+            : await summarizeInChunks(redactedMessages, options.signal);
+
+        // Channel-specific prompt template (see promptTemplates.js)
+        const prompt = renderTemplate(getChannelTemplate(options.teamId, options.channelId), {
+            channelName: options.channelName || options.channelId || 'unknown',
+            conversation,
         });
 
-        const content = response.choices[0]?.message?.content;
+        // Voice profile: few-shot examples and constraints (see voiceProfiles.js)
+        const voice = resolveVoice(options.voice, options.teamId, options.channelId);
 
-        if (!content) {
-            throw new Error('Empty response from LLM');
-        }
+        // Platforms enabled for the channel decide which drafts are requested
+        const platforms = getChannelPlatforms(options.teamId, options.channelId);
+        const schema = buildAnalysisSchema(platforms);
+        const systemPrompt = buildSystemPrompt(platforms);
 
-        // Parse JSON response (handle potential markdown code blocks)
-        let jsonContent = content;
-        if (content.includes('```json')) {
-            jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-        } else if (content.includes('```')) {
-            jsonContent = content.replace(/```\n?/g, '');
-        }
+        const result = await completeJson({
+            system: voice ? `${systemPrompt}\n\n${buildVoiceInstructions(voice)}` : systemPrompt,
+            prompt,
+            responseSchema: { name: 'submit_analysis', schema },
+            // Thread drafts that run over the tweet limit are split on sentence boundaries
+            normalize: (parsed) => normalizeIdeas(parsed, platforms),
+            validate: (parsed) => {
+                const errors = validateAnalysis(parsed, schema);
+                return errors.length === 0 && voice ? checkVoice(parsed.ideas, voice) : errors;
+            },
+            signal: options.signal,
+        });
 
-        const result = JSON.parse(jsonContent.trim());
+        // Highest-scoring idea first
+        const ideas = [...result.ideas].sort((a, b) => b.score - a.score);
 
-        console.log(`[LLM] Analysis complete. Post-worthy: ${result.isPostWorthy}`);
+        console.log(`[LLM] Analysis complete. Ideas: ${ideas.length}${voice ? ` (voice: ${voice.name})` : ''}`);
 
         return {
-            isPostWorthy: result.isPostWorthy || false,
+            isPostWorthy: ideas.length > 0,
             reasoning: result.reasoning || 'No reasoning provided.',
-            linkedInDraft: result.linkedInDraft || null,
-            xDraft: result.xDraft || null,
+            ideas,
+            redactions: placeholders,
+            voice: voice?.name || null,
         };
     } catch (error) {
         console.error('[LLM] Error analyzing conversation:', error.message);
@@ -143,8 +334,7 @@ export async function analyzeConversation(messages) {
         return {
             isPostWorthy: false,
             reasoning: `Analysis failed: ${error.message}`,
-            linkedInDraft: null,
-            xDraft: null,
+            ideas: [],
             error: true,
         };
     }
@@ -155,10 +345,7 @@ export async function analyzeConversation(messages) {
  * @returns {boolean}
  */
 export function isConfigured() {
-    if (LLM_PROVIDER === 'claude') {
-        return !!process.env.CLAUDE_API_KEY;
-    }
-    return !!process.env.OPENAI_API_KEY;
+    return isProviderConfigured();
 }
 
-export { LLM_PROVIDER };
+export { LLM_PROVIDER, getRequiredEnv };
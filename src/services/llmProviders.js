@@ -0,0 +1,265 @@
+/**
+ * LLM Provider Registry
+ *
+ * Every provider implements the same contract:
+ *   complete({ system, messages, temperature, maxTokens, responseSchema, signal }) =>
+ *     Promise<{ content, model, provider, usage: { inputTokens, outputTokens } }>
+ *   probe() => Promise<void>   (cheap reachability + auth check that uses no tokens)
+ *
+ * `responseSchema` ({ name, schema }) asks for JSON output using the provider's
+ * structured-output mode where one exists; `content` is always the JSON text.
+ * `signal` (an AbortSignal) cancels the request.
+ *
+ * Built-in providers:
+ * - openai:            OpenAI Chat Completions
+ * - claude:            Native Anthropic Messages API (alias: anthropic)
+ * - openai-compatible: Any OpenAI-compatible server at LLM_BASE_URL (Ollama, vLLM, ...)
+ *
+ * Model, temperature and max tokens come from LLM_MODEL, LLM_TEMPERATURE and LLM_MAX_TOKENS.
+ * Every call is recorded in the metrics (see metrics.js).
+ */
+
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+import { recordLlmCall } from './metrics.js';
+
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+
+/**
+ * Read a numeric env var, falling back to a default
+ * @param {string} name - Env var name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function numberFromEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Shared generation settings (providers supply their own default model)
+ */
+const LLM_CONFIG = {
+    model: process.env.LLM_MODEL || null,
+    temperature: numberFromEnv('LLM_TEMPERATURE', 0.7),
+    maxTokens: numberFromEnv('LLM_MAX_TOKENS', 1024),
+    baseURL: process.env.LLM_BASE_URL || null,
+};
+
+// Registered providers: { name: { requiredEnv, defaultModel, create(config) } }
+const providers = new Map();
+
+// Provider instance for LLM_PROVIDER, created on first use
+let activeProvider = null;
+
+/**
+ * Register an LLM provider
+ * @param {string} name - Provider name (selected via LLM_PROVIDER)
+ * @param {Object} definition - { requiredEnv: string[], defaultModel: string, create(config) => { complete, probe } }
+ */
+export function registerProvider(name, definition) {
+    providers.set(name, definition);
+}
+
+/**
+ * Build an adapter for OpenAI's Chat Completions API (also used by compatible servers)
+ * @param {string} name - Provider name reported in results
+ * @param {OpenAI} client - Configured OpenAI SDK client
+ * @param {Object} config - { model, temperature, maxTokens }
+ * @param {string} jsonMode - 'json_schema' (schema-guided structured output) or 'json_object' (widely supported)
+ * @returns {Object} - Provider instance
+ */
+function createOpenAIAdapter(name, client, config, jsonMode) {
+    const formatFor = (responseSchema) => (jsonMode === 'json_schema'
+        ? { type: 'json_schema', json_schema: { name: responseSchema.name, schema: responseSchema.schema } }
+        : { type: 'json_object' });
+
+    return {
+        name,
+        model: config.model,
+        async complete({ system, messages, temperature = config.temperature, maxTokens = config.maxTokens, responseSchema = null, signal }) {
+            const response = await client.chat.completions.create({
+                model: config.model,
+                messages: [
+                    ...(system ? [{ role: 'system', content: system }] : []),
+                    ...messages,
+                ],
+                temperature,
+                max_tokens: maxTokens,
+                ...(responseSchema && { response_format: formatFor(responseSchema) }),
+            }, { signal });
+
+            return {
+                content: response.choices[0]?.message?.content || '',
+                model: response.model || config.model,
+                provider: name,
+                usage: {
+                    inputTokens: response.usage?.prompt_tokens || 0,
+                    outputTokens: response.usage?.completion_tokens || 0,
+                },
+            };
+        },
+        async probe() {
+            // Listing models is free and supported by OpenAI-compatible servers (Ollama, vLLM, ...)
+            await client.models.list();
+        },
+    };
+}
+
+registerProvider('openai', {
+    requiredEnv: ['OPENAI_API_KEY'],
+    defaultModel: 'gpt-4o-mini',
+    create: (config) => createOpenAIAdapter('openai', new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+        ...(config.baseURL && { baseURL: config.baseURL }),
+    }), config, 'json_schema'),
+});
+
+registerProvider('openai-compatible', {
+    requiredEnv: ['LLM_BASE_URL'],
+    defaultModel: 'llama3.1',
+    create: (config) => createOpenAIAdapter('openai-compatible', new OpenAI({
+        // Local servers usually ignore the key, but the SDK requires one
+        apiKey: process.env.LLM_API_KEY || 'not-needed',
+        baseURL: config.baseURL,
+    }), config, 'json_object'),
+});
+
+const anthropicProvider = {
+    requiredEnv: ['CLAUDE_API_KEY'],
+    defaultModel: 'claude-sonnet-4-5',
+    create: (config) => {
+        const client = new Anthropic({
+            apiKey: process.env.CLAUDE_API_KEY,
+            ...(config.baseURL && { baseURL: config.baseURL }),
+        });
+
+        return {
+            name: 'claude',
+            model: config.model,
+            async complete({ system, messages, temperature = config.temperature, maxTokens = config.maxTokens, responseSchema = null, signal }) {
+                // Structured output: force a single tool call whose input is the response object
+                const response = await client.messages.create({
+                    model: config.model,
+                    ...(system && { system }),
+                    messages,
+                    temperature,
+                    max_tokens: maxTokens,
+                    ...(responseSchema && {
+                        tools: [{
+                            name: responseSchema.name,
+                            description: 'Submit the response.',
+                            input_schema: responseSchema.schema,
+                        }],
+                        tool_choice: { type: 'tool', name: responseSchema.name },
+                    }),
+                }, { signal });
+
+                const toolUse = response.content.find(block => block.type === 'tool_use');
+                const text = toolUse
+                    ? JSON.stringify(toolUse.input)
+                    : response.content
+                        .filter(block => block.type === 'text')
+                        .map(block => block.text)
+                        .join('');
+
+                return {
+                    content: text,
+                    model: response.model || config.model,
+                    provider: 'claude',
+                    usage: {
+                        inputTokens: response.usage?.input_tokens || 0,
+                        outputTokens: response.usage?.output_tokens || 0,
+                    },
+                };
+            },
+            async probe() {
+                await client.models.retrieve(config.model);
+            },
+        };
+    },
+};
+
+registerProvider('claude', anthropicProvider);
+registerProvider('anthropic', anthropicProvider);
+
+/**
+ * Get the definition of the configured provider
+ * @returns {Object}
+ */
+function getProviderDefinition() {
+    const definition = providers.get(LLM_PROVIDER);
+    if (!definition) {
+        throw new Error(`Unknown LLM provider: ${LLM_PROVIDER}. Available: ${Array.from(providers.keys()).join(', ')}`);
+    }
+    return definition;
+}
+
+/**
+ * Wrap a provider so every call is recorded in the metrics (latency, tokens, errors)
+ * @param {Object} provider - Provider instance
+ * @returns {Object} - Provider instance with an instrumented complete()
+ */
+function instrumentProvider(provider) {
+    return {
+        ...provider,
+        async complete(params) {
+            const startedAt = Date.now();
+            try {
+                const result = await provider.complete(params);
+                recordLlmCall({
+                    provider: provider.name,
+                    model: provider.model,
+                    durationMs: Date.now() - startedAt,
+                    usage: result.usage,
+                });
+                return result;
+            } catch (error) {
+                recordLlmCall({ provider: provider.name, model: provider.model, durationMs: Date.now() - startedAt, error });
+                throw error;
+            }
+        },
+    };
+}
+
+/**
+ * Get the configured provider instance
+ * @returns {Object} - { name, model, complete() }
+ */
+export function getProvider() {
+    if (!activeProvider) {
+        const definition = getProviderDefinition();
+        activeProvider = instrumentProvider(definition.create({
+            ...LLM_CONFIG,
+            model: LLM_CONFIG.model || definition.defaultModel,
+        }));
+    }
+    return activeProvider;
+}
+
+/**
+ * Get the env vars the configured provider needs
+ * @returns {Array<string>}
+ */
+export function getRequiredEnv() {
+    return providers.get(LLM_PROVIDER)?.requiredEnv || [];
+}
+
+/**
+ * Check if the configured provider has everything it needs
+ * @returns {boolean}
+ */
+export function isProviderConfigured() {
+    if (!providers.has(LLM_PROVIDER)) return false;
+    return getRequiredEnv().every(name => !!process.env[name]);
+}
+
+/**
+ * Get the model name the configured provider will use
+ * @returns {string|null}
+ */
+export function getModelName() {
+    return LLM_CONFIG.model || providers.get(LLM_PROVIDER)?.defaultModel || null;
+}
+
+export { LLM_PROVIDER, LLM_CONFIG };
@@ -0,0 +1,211 @@
+/**
+ * Metrics Service
+ *
+ * Prometheus metrics for the analysis pipeline, served at /metrics:
+ * - LLM calls, latency, errors, invalid responses and tokens (per provider/model)
+ * - Messages buffered per channel
+ * - Slack history pages fetched
+ * - Suggestions generated and duplicates detected
+ * - Scheduler job runs and durations
+ * - Queued/running analysis jobs and LLM calls waiting for a slot
+ * - Node.js process metrics
+ */
+
+import client from 'prom-client';
+import { getStats } from './conversationBuffer.js';
+import { getQueueStats } from './jobQueue.js';
+
+const PREFIX = 'chitchatposts_';
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+const llmRequests = new client.Counter({
+    name: `${PREFIX}llm_requests_total`,
+    help: 'LLM API calls by provider, model and status (success|error)',
+    labelNames: ['provider', 'model', 'status'],
+    registers: [registry],
+});
+
+const llmDuration = new client.Histogram({
+    name: `${PREFIX}llm_request_duration_seconds`,
+    help: 'LLM API call latency',
+    labelNames: ['provider', 'model'],
+    buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+    registers: [registry],
+});
+
+const llmInvalidResponses = new client.Counter({
+    name: `${PREFIX}llm_invalid_responses_total`,
+    help: 'LLM responses that failed JSON parsing or schema validation (each triggers a repair attempt)',
+    labelNames: ['provider'],
+    registers: [registry],
+});
+
+const llmTokens = new client.Counter({
+    name: `${PREFIX}llm_tokens_total`,
+    help: 'Tokens used by LLM calls, by type (input|output)',
+    labelNames: ['provider', 'model', 'type'],
+    registers: [registry],
+});
+
+new client.Gauge({
+    name: `${PREFIX}buffered_messages`,
+    help: 'Messages in the real-time conversation buffer per workspace and channel',
+    labelNames: ['team', 'channel'],
+    registers: [registry],
+    collect() {
+        // Read at scrape time; channels whose buffer emptied drop out
+        this.reset();
+        for (const [teamId, channels] of Object.entries(getStats().workspaces)) {
+            for (const [channelId, { messageCount }] of Object.entries(channels)) {
+                this.set({ team: teamId, channel: channelId }, messageCount);
+            }
+        }
+    },
+});
+
+const slackHistoryPages = new client.Counter({
+    name: `${PREFIX}slack_history_pages_total`,
+    help: 'Slack history pages fetched, by API method (conversations.history|conversations.replies)',
+    labelNames: ['method'],
+    registers: [registry],
+});
+
+const slackRateLimits = new client.Counter({
+    name: `${PREFIX}slack_rate_limited_total`,
+    help: 'Slack history calls that were rate-limited, by API method',
+    labelNames: ['method'],
+    registers: [registry],
+});
+
+const suggestionsGenerated = new client.Counter({
+    name: `${PREFIX}suggestions_generated_total`,
+    help: 'Suggestions stored, by origin (command|scheduler)',
+    labelNames: ['origin'],
+    registers: [registry],
+});
+
+const duplicatesDetected = new client.Counter({
+    name: `${PREFIX}duplicates_detected_total`,
+    help: 'Ideas flagged as duplicates by checkDuplicate, by similarity backend',
+    labelNames: ['backend'],
+    registers: [registry],
+});
+
+const jobRuns = new client.Counter({
+    name: `${PREFIX}scheduler_job_runs_total`,
+    help: 'Scheduler job runs by job and outcome (success|error|skipped)',
+    labelNames: ['job', 'outcome'],
+    registers: [registry],
+});
+
+const jobDuration = new client.Histogram({
+    name: `${PREFIX}scheduler_job_duration_seconds`,
+    help: 'Scheduler job run duration',
+    labelNames: ['job', 'outcome'],
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800],
+    registers: [registry],
+});
+
+new client.Gauge({
+    name: `${PREFIX}analysis_jobs`,
+    help: 'Analysis jobs in the job queue, by state (queued|running)',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+        const { queued, running } = getQueueStats();
+        this.set({ state: 'queued' }, queued);
+        this.set({ state: 'running' }, running);
+    },
+});
+
+new client.Gauge({
+    name: `${PREFIX}llm_slots`,
+    help: 'LLM calls in flight and waiting for one of the LLM_CONCURRENCY slots, by state (active|waiting)',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+        const { llmActive, llmWaiting } = getQueueStats();
+        this.set({ state: 'active' }, llmActive);
+        this.set({ state: 'waiting' }, llmWaiting);
+    },
+});
+
+/**
+ * Record one LLM API call
+ * @param {Object} call - { provider, model, durationMs, usage: { inputTokens, outputTokens }, error }
+ */
+export function recordLlmCall({ provider, model, durationMs, usage, error = null }) {
+    const labels = { provider, model: model || 'unknown' };
+
+    llmRequests.inc({ ...labels, status: error ? 'error' : 'success' });
+    llmDuration.observe(labels, durationMs / 1000);
+
+    if (usage) {
+        llmTokens.inc({ ...labels, type: 'input' }, usage.inputTokens || 0);
+        llmTokens.inc({ ...labels, type: 'output' }, usage.outputTokens || 0);
+    }
+}
+
+/**
+ * Record an LLM response that had to be repaired
+ * @param {string} provider - Provider name
+ */
+export function recordLlmInvalidResponse(provider) {
+    llmInvalidResponses.inc({ provider });
+}
+
+/**
+ * Record a fetched Slack history page
+ * @param {string} method - Slack API method
+ */
+export function recordSlackHistoryPage(method) {
+    slackHistoryPages.inc({ method });
+}
+
+/**
+ * Record a rate-limited Slack history call
+ * @param {string} method - Slack API method
+ */
+export function recordSlackRateLimit(method) {
+    slackRateLimits.inc({ method });
+}
+
+/**
+ * Record a stored suggestion
+ * @param {string|null} origin - 'command' or 'scheduler'
+ */
+export function recordSuggestion(origin) {
+    suggestionsGenerated.inc({ origin: origin || 'unknown' });
+}
+
+/**
+ * Record an idea flagged as a duplicate
+ * @param {string} backend - Similarity backend that flagged it
+ */
+export function recordDuplicate(backend) {
+    duplicatesDetected.inc({ backend });
+}
+
+/**
+ * Record a scheduler job run
+ * @param {string} job - Job name (six_hour, daily, manual)
+ * @param {string} outcome - success, error or skipped
+ * @param {number} durationMs
+ */
+export function recordJobRun(job, outcome, durationMs) {
+    jobRuns.inc({ job, outcome });
+    jobDuration.observe({ job, outcome }, durationMs / 1000);
+}
+
+/**
+ * Render all metrics in the Prometheus text format
+ * @returns {Promise<Object>} - { contentType, body }
+ */
+export async function getMetrics() {
+    return {
+        contentType: registry.contentType,
+        body: await registry.metrics(),
+    };
+}
@@ -0,0 +1,417 @@
+/**
+ * Persistence Service
+ *
+ * Pluggable storage layer for bot state that must survive restarts:
+ * - Named collections exposed as Map-like objects
+ * - File-backed default (JSON, atomic writes), in-memory for tests/dev
+ * - Versioned schema with ordered migrations
+ * - Debounced writes; the entry point calls flush() on shutdown
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'file';
+const STORAGE_PATH = process.env.STORAGE_PATH || './data/chitchatposts.json';
+
+// Delay before writing changes to the backend (batches bursts of updates)
+const SAVE_DEBOUNCE_MS = 500;
+
+// Team ID given to state written before multi-workspace support, until a workspace claims it
+export const LEGACY_TEAM_ID = 'legacy';
+
+// Collections keyed by channel, partitioned by workspace since schema v5
+const CHANNEL_COLLECTIONS = [
+    'syncTimestamps',
+    'lastAnalyzedTimestamps',
+    'lastPostedByChannel',
+    'dedupThresholds',
+    'channelPromptBindings',
+    'channelVoiceDefaults',
+    'channelPlatforms',
+];
+
+// Collections keyed by name (custom templates, voice profiles), partitioned by workspace since schema v7
+const NAMED_COLLECTIONS = ['promptTemplates', 'voiceProfiles'];
+
+/**
+ * Key for per-workspace state (Slack channel IDs are only meaningful within a workspace)
+ * @param {string} teamId - Slack team ID
+ * @param {string} id - Channel (or other workspace-local) ID
+ * @returns {string} - "<teamId>:<id>"
+ */
+export function teamKey(teamId, id) {
+    return `${teamId}:${id}`;
+}
+
+/**
+ * Schema migrations, applied in order to the raw stored document.
+ * Each entry upgrades the document from `version - 1` to `version`.
+ * Append new entries as the schema grows; never edit existing ones.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Initial schema',
+        up: (data) => ({ ...data, collections: data.collections || {} }),
+    },
+    {
+        version: 2,
+        description: 'Key suggestions by ID and add lifecycle status',
+        up: (data) => {
+            const suggestions = (data.collections.suggestions || []).map(([, entry]) => {
+                const id = randomUUID();
+                return [id, {
+                    id,
+                    suggestion: entry.suggestion,
+                    status: 'pending',
+                    createdAt: entry.timestamp,
+                    updatedAt: entry.timestamp,
+                }];
+            });
+            return { ...data, collections: { ...data.collections, suggestions } };
+        },
+    },
+    {
+        version: 3,
+        description: 'Store suggestions as ranked ideas (title + score)',
+        up: (data) => {
+            const suggestions = (data.collections.suggestions || []).map(([id, record]) => [id, {
+                ...record,
+                batchId: record.batchId || null,
+                similarity: record.similarity || 0,
+                suggestion: {
+                    title: 'Post idea',
+                    score: null,
+                    ...record.suggestion,
+                },
+            }]);
+            return { ...data, collections: { ...data.collections, suggestions } };
+        },
+    },
+    {
+        version: 4,
+        description: 'Key drafts by platform ID',
+        up: (data) => {
+            const toDrafts = ({ linkedInDraft, xDraft }) => ({
+                ...(linkedInDraft && { linkedin: linkedInDraft }),
+                ...(xDraft && { x: xDraft }),
+            });
+
+            const suggestions = (data.collections.suggestions || []).map(([id, record]) => {
+                const { linkedInDraft, xDraft, ...suggestion } = record.suggestion;
+                return [id, {
+                    ...record,
+                    suggestion: { ...suggestion, drafts: toDrafts({ linkedInDraft, xDraft }) },
+                    ...(record.originalDrafts && { originalDrafts: toDrafts(record.originalDrafts) }),
+                }];
+            });
+            return { ...data, collections: { ...data.collections, suggestions } };
+        },
+    },
+    {
+        version: 5,
+        description: 'Partition channel state by workspace',
+        up: (data) => {
+            const collections = { ...data.collections };
+            for (const name of CHANNEL_COLLECTIONS) {
+                if (!collections[name]) continue;
+                collections[name] = collections[name].map(([key, value]) => [teamKey(LEGACY_TEAM_ID, key), value]);
+            }
+            collections.suggestions = (collections.suggestions || []).map(([id, record]) => [id, {
+                ...record,
+                teamId: record.teamId || LEGACY_TEAM_ID,
+            }]);
+            return { ...data, collections };
+        },
+    },
+    {
+        version: 6,
+        description: 'Drop redaction placeholder maps (original values) from stored suggestions',
+        up: (data) => {
+            const withoutRedactions = ({ redactions, ...record }) => record;
+            const suggestions = (data.collections.suggestions || []).map(([id, record]) => [id, withoutRedactions(record)]);
+            const webhookDeadLetters = (data.collections.webhookDeadLetters || []).map(([id, entry]) => [id, {
+                ...entry,
+                payload: entry.payload?.data?.suggestion
+                    ? { ...entry.payload, data: { ...entry.payload.data, suggestion: withoutRedactions(entry.payload.data.suggestion) } }
+                    : entry.payload,
+            }]);
+            return { ...data, collections: { ...data.collections, suggestions, webhookDeadLetters } };
+        },
+    },
+    {
+        version: 7,
+        description: 'Partition custom prompt templates and voice profiles by workspace',
+        up: (data) => {
+            const collections = { ...data.collections };
+            for (const name of NAMED_COLLECTIONS) {
+                if (!collections[name]) continue;
+                collections[name] = collections[name].map(([key, value]) => [
+                    teamKey(LEGACY_TEAM_ID, key),
+                    { ...value, teamId: LEGACY_TEAM_ID },
+                ]);
+            }
+            return { ...data, collections };
+        },
+    },
+    {
+        version: 8,
+        description: 'Drop Slack history checkpoints (held unredacted messages; now kept in memory)',
+        up: (data) => {
+            const collections = { ...data.collections };
+            delete collections.historyCheckpoints;
+            return { ...data, collections };
+        },
+    },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Available storage backends: { name: (options) => { load(), save(data) } }
+ */
+const backends = new Map();
+
+/**
+ * Register a storage backend
+ * @param {string} name - Backend name (selected via STORAGE_BACKEND)
+ * @param {Function} factory - Returns { load(): Object|null, save(data): void }
+ */
+export function registerStorageBackend(name, factory) {
+    backends.set(name, factory);
+}
+
+// In-memory backend: nothing survives a restart
+registerStorageBackend('memory', () => {
+    let snapshot = null;
+    return {
+        load: () => snapshot,
+        save: (data) => { snapshot = data; },
+    };
+});
+
+// File backend: JSON document written atomically via temp file + rename
+// (a file that doesn't parse is moved aside to <path>.corrupt-<timestamp> before starting empty)
+registerStorageBackend('file', ({ filePath }) => ({
+    load() {
+        if (!fs.existsSync(filePath)) return null;
+
+        const contents = fs.readFileSync(filePath, 'utf8');
+        try {
+            return JSON.parse(contents);
+        } catch (error) {
+            const backupPath = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, backupPath);
+            console.error(`[Persistence] ${filePath} is not valid JSON (${error.message}); moved it to ${backupPath} and starting empty`);
+            return null;
+        }
+    },
+    save(data) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data));
+        fs.renameSync(tmpPath, filePath);
+    },
+}));
+
+let backend = null;
+let document = null;
+let saveTimer = null;
+
+// Outcome of the last write, for health checks
+let lastSavedAt = null;
+let lastSaveError = null;
+
+// Live collections: { name: Map }
+const collections = new Map();
+
+/**
+ * Run pending migrations against a stored document
+ * @param {Object} data - Raw stored document
+ * @returns {Object} - Document at SCHEMA_VERSION
+ */
+function migrate(data) {
+    let current = data;
+    const fromVersion = current.schemaVersion || 0;
+
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`Stored schema version ${fromVersion} is newer than supported (${SCHEMA_VERSION})`);
+    }
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= fromVersion) continue;
+        console.log(`[Persistence] Migrating to v${migration.version}: ${migration.description}`);
+        current = { ...migration.up(current), schemaVersion: migration.version };
+    }
+
+    return current;
+}
+
+/**
+ * Lazily initialize the backend and load the stored document
+ */
+function ensureLoaded() {
+    if (document) return;
+
+    const factory = backends.get(STORAGE_BACKEND);
+    if (!factory) {
+        throw new Error(`Unknown storage backend: ${STORAGE_BACKEND}`);
+    }
+
+    backend = factory({ filePath: path.resolve(STORAGE_PATH) });
+
+    // A load failure stops startup rather than letting the next write replace the stored state
+    let stored;
+    try {
+        stored = backend.load();
+    } catch (error) {
+        throw new Error(`[Persistence] Failed to load stored state: ${error.message}`);
+    }
+
+    document = migrate(stored || { schemaVersion: 0 });
+    console.log(`[Persistence] Loaded ${STORAGE_BACKEND} storage (schema v${document.schemaVersion})`);
+}
+
+/**
+ * Write all collections to the backend immediately
+ */
+export function flush() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    if (!document) return;
+
+    for (const [name, map] of collections) {
+        document.collections[name] = Array.from(map.entries());
+    }
+
+    try {
+        backend.save(document);
+        lastSavedAt = Date.now();
+        lastSaveError = null;
+    } catch (error) {
+        lastSaveError = error.message;
+        console.error('[Persistence] Failed to save state:', error.message);
+    }
+}
+
+/**
+ * Schedule a debounced write
+ */
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DEBOUNCE_MS);
+    saveTimer.unref?.();
+}
+
+/**
+ * Map that schedules a save whenever it is modified
+ */
+class PersistentMap extends Map {
+    set(key, value) {
+        super.set(key, value);
+        scheduleSave();
+        return this;
+    }
+
+    delete(key) {
+        const deleted = super.delete(key);
+        if (deleted) scheduleSave();
+        return deleted;
+    }
+
+    clear() {
+        super.clear();
+        scheduleSave();
+    }
+
+    /**
+     * Mark the collection dirty after mutating a stored value in place
+     */
+    touch() {
+        scheduleSave();
+    }
+}
+
+/**
+ * Get (or create) a named persistent collection
+ * @param {string} name - Collection name
+ * @returns {PersistentMap} - Map whose changes are persisted
+ */
+export function getCollection(name) {
+    ensureLoaded();
+
+    if (!collections.has(name)) {
+        const map = new PersistentMap();
+        for (const [key, value] of document.collections[name] || []) {
+            Map.prototype.set.call(map, key, value);
+        }
+        collections.set(name, map);
+    }
+
+    return collections.get(name);
+}
+
+/**
+ * Hand state from before multi-workspace support to a workspace
+ * Called for the SLACK_BOT_TOKEN workspace, which is the one a single-workspace deployment served.
+ * @param {string} teamId - Slack team ID
+ * @returns {number} - Number of entries reassigned
+ */
+export function claimLegacyState(teamId) {
+    ensureLoaded();
+    const prefix = teamKey(LEGACY_TEAM_ID, '');
+    let claimed = 0;
+
+    for (const name of new Set([...Object.keys(document.collections), ...collections.keys()])) {
+        const map = getCollection(name);
+        for (const [key, value] of Array.from(map)) {
+            if (typeof key === 'string' && key.startsWith(prefix)) {
+                map.delete(key);
+                map.set(teamKey(teamId, key.slice(prefix.length)), value?.teamId === LEGACY_TEAM_ID ? { ...value, teamId } : value);
+                claimed++;
+            } else if (value?.teamId === LEGACY_TEAM_ID) {
+                map.set(key, { ...value, teamId });
+                claimed++;
+            }
+        }
+    }
+
+    if (claimed > 0) {
+        console.log(`[Persistence] Assigned ${claimed} entries from before multi-workspace support to ${teamId}`);
+    }
+    return claimed;
+}
+
+/**
+ * Check whether the storage backend is usable (loaded, and the last write succeeded)
+ * @returns {boolean}
+ */
+export function isAvailable() {
+    try {
+        ensureLoaded();
+        return !lastSaveError;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get persistence info for debugging
+ * @returns {Object}
+ */
+export function getPersistenceInfo() {
+    return {
+        backend: STORAGE_BACKEND,
+        path: STORAGE_BACKEND === 'file' ? path.resolve(STORAGE_PATH) : null,
+        schemaVersion: document?.schemaVersion ?? null,
+        lastSavedAt,
+        lastSaveError,
+        collections: Object.fromEntries(
+            Array.from(collections, ([name, map]) => [name, map.size])
+        ),
+    };
+}
@@ -0,0 +1,296 @@
+/**
+ * Platform Registry
+ *
+ * Every platform a draft can target declares:
+ * - label / emoji:  how it's named in Slack
+ * - charLimit:      hard limit, enforced by the response schema and the edit modal
+ * - formatting:     writing and formatting rules for the LLM
+ * - hashtags:       hashtag conventions for the LLM
+ * - renderBlocks:   Block Kit rendering of a draft (optional; defaults to a titled section)
+ * - thread:         { maxPosts, numbering } for platforms whose draft is a list of posts
+ *                   (each post fits charLimit, including its "1/5" number)
+ *
+ * Platforms are enabled per channel (persisted), falling back to ENABLED_PLATFORMS.
+ */
+
+import { getCollection, teamKey } from './persistence.js';
+import { splitIntoPosts, numberingReserve, numberPosts } from './threadSplitter.js';
+
+// Slack's limit for section text
+const SLACK_SECTION_LIMIT = 3000;
+
+// X thread mode: max tweets per thread and whether to add "1/5" numbering
+const X_THREAD_MAX_POSTS = parseInt(process.env.X_THREAD_MAX_POSTS, 10) || 6;
+const X_THREAD_NUMBERING = process.env.X_THREAD_NUMBERING !== 'false';
+
+// Separates posts of a thread in the edit modal
+const THREAD_SEPARATOR = '\n\n---\n\n';
+
+// Registered platforms, in display order: { id: definition }
+const platforms = new Map();
+
+// Channel overrides: { "teamId:channelId": [platformId] }
+const channelPlatforms = getCollection('channelPlatforms');
+
+/**
+ * Register a platform
+ * @param {string} id - Platform ID (used as the draft key)
+ * @param {Object} definition - { label, emoji, charLimit, formatting, hashtags, thread, renderBlocks(draft, platform) }
+ */
+export function registerPlatform(id, definition) {
+    platforms.set(id, { id, ...definition });
+}
+
+registerPlatform('linkedin', {
+    label: 'LinkedIn',
+    emoji: '📝',
+    charLimit: 3000,
+    formatting: 'A full post with a strong first line, short paragraphs separated by blank lines, and no markdown.',
+    hashtags: 'Up to 3 relevant hashtags on the last line, or none.',
+});
+
+registerPlatform('x', {
+    label: 'Twitter/X',
+    emoji: '𝕏',
+    charLimit: 280,
+    formatting: 'A single punchy post in plain text.',
+    hashtags: 'At most one hashtag, and only if it adds reach.',
+});
+
+registerPlatform('xthread', {
+    label: 'X thread',
+    emoji: '𝕏',
+    charLimit: 280,
+    thread: { maxPosts: X_THREAD_MAX_POSTS, numbering: X_THREAD_NUMBERING },
+    formatting: 'A thread of tweets as an ordered list. Use a single tweet if the idea fits; otherwise split the story ' +
+        'into tweets that each stand on their own, breaking between sentences. Do not number the tweets.',
+    hashtags: 'At most one hashtag, in the last tweet.',
+    renderBlocks: (posts, platform) => {
+        const numbered = formatThreadPosts(platform, posts);
+        return [
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `*${platform.emoji} ${platform.label} Draft${numbered.length > 1 ? ` (${numbered.length} tweets)` : ''}:*`,
+                },
+            },
+            // One section per tweet, so each can be copied on its own
+            ...numbered.map(post => ({
+                type: 'section',
+                text: { type: 'mrkdwn', text: post },
+            })),
+        ];
+    },
+});
+
+registerPlatform('bluesky', {
+    label: 'Bluesky',
+    emoji: '🦋',
+    charLimit: 300,
+    formatting: 'A single conversational post in plain text.',
+    hashtags: 'Hashtags are uncommon on Bluesky; use none unless essential.',
+});
+
+registerPlatform('mastodon', {
+    label: 'Mastodon',
+    emoji: '🐘',
+    charLimit: 500,
+    formatting: 'A single post in plain text, written for a technical, community-minded audience. No engagement bait.',
+    hashtags: '1-3 CamelCase hashtags at the end (e.g. #OpenSource), since Mastodon search relies on them.',
+});
+
+registerPlatform('threads', {
+    label: 'Threads',
+    emoji: '🧵',
+    charLimit: 500,
+    formatting: 'A single casual post in plain text that invites replies.',
+    hashtags: 'At most one topic tag.',
+});
+
+registerPlatform('blog', {
+    label: 'Blog outline',
+    emoji: '📰',
+    charLimit: 2000,
+    formatting: 'A short blog post outline: a working title on the first line, then 3-6 section headings, each followed by 1-2 "-" bullet points.',
+    hashtags: 'No hashtags.',
+});
+
+// Platforms used when a channel has no override
+// (X drafts default to thread mode, which is a single tweet when the idea fits)
+const DEFAULT_PLATFORMS = (process.env.ENABLED_PLATFORMS || 'linkedin,xthread')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(id => platforms.has(id));
+
+/**
+ * Get a platform definition
+ * @param {string} id - Platform ID
+ * @returns {Object|null}
+ */
+export function getPlatform(id) {
+    return platforms.get(id) || null;
+}
+
+/**
+ * List all registered platforms
+ * @returns {Array}
+ */
+export function listPlatforms() {
+    return Array.from(platforms.values());
+}
+
+/**
+ * Get the platforms enabled for a channel, in display order
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID (optional)
+ * @returns {Array} - Platform definitions
+ */
+export function getChannelPlatforms(teamId, channelId) {
+    const enabled = (channelId && channelPlatforms.get(teamKey(teamId, channelId))) || DEFAULT_PLATFORMS;
+    return listPlatforms().filter(platform => enabled.includes(platform.id));
+}
+
+/**
+ * Enable a subset of platforms for a channel
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID
+ * @param {Array<string>} ids - Platform IDs
+ * @returns {Array} - Enabled platform definitions
+ */
+export function setChannelPlatforms(teamId, channelId, ids) {
+    const unknown = ids.filter(id => !platforms.has(id));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown platform(s): ${unknown.join(', ')}. Available: ${Array.from(platforms.keys()).join(', ')}`);
+    }
+    if (ids.length === 0) {
+        throw new Error('Enable at least one platform.');
+    }
+
+    channelPlatforms.set(teamKey(teamId, channelId), [...new Set(ids)]);
+    console.log(`[Platforms] ${teamId}/${channelId} platforms set to ${ids.join(', ')}`);
+    return getChannelPlatforms(teamId, channelId);
+}
+
+/**
+ * Remove a channel's platform override (falls back to ENABLED_PLATFORMS)
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID
+ * @returns {boolean} - Whether an override existed
+ */
+export function resetChannelPlatforms(teamId, channelId) {
+    return channelPlatforms.delete(teamKey(teamId, channelId));
+}
+
+/**
+ * Get the max characters the LLM may use per post
+ * (thread posts leave room for numbering)
+ * @param {Object} platform - Platform definition
+ * @returns {number}
+ */
+export function getPostLimit(platform) {
+    return platform.thread?.numbering
+        ? platform.charLimit - numberingReserve(platform.thread.maxPosts)
+        : platform.charLimit;
+}
+
+/**
+ * Add numbering to a thread's posts, if the platform numbers them
+ * @param {Object} platform - Platform definition
+ * @param {Array<string>} posts - Thread posts
+ * @returns {Array<string>}
+ */
+export function formatThreadPosts(platform, posts) {
+    return platform.thread?.numbering ? numberPosts(posts) : posts;
+}
+
+/**
+ * Fit a draft to its platform's shape
+ * Thread platforms get a list of posts: a single text, or posts over the limit,
+ * are split on sentence boundaries.
+ * @param {Object} platform - Platform definition
+ * @param {string|Array<string>} draft - Draft as returned by the LLM
+ * @returns {string|Array<string>}
+ */
+export function normalizeDraft(platform, draft) {
+    if (!platform?.thread) return draft;
+
+    const limit = getPostLimit(platform);
+    const posts = typeof draft === 'string' ? [draft] : draft;
+    if (!Array.isArray(posts)) return draft;
+
+    return posts.flatMap(post => (typeof post === 'string' && Array.from(post).length > limit
+        ? splitIntoPosts(post, limit)
+        : [post]));
+}
+
+/**
+ * Get a draft as plain text (thread posts joined by blank lines)
+ * @param {string|Array<string>} draft
+ * @returns {string}
+ */
+export function getDraftText(draft) {
+    return Array.isArray(draft) ? draft.join('\n\n') : (draft || '');
+}
+
+/**
+ * Format a draft for a modal text input (thread posts separated by "---" lines)
+ * @param {string|Array<string>} draft
+ * @returns {string}
+ */
+export function formatDraftInput(draft) {
+    return Array.isArray(draft) ? draft.join(THREAD_SEPARATOR) : (draft || '');
+}
+
+/**
+ * Parse a modal text input back into a draft for the platform
+ * @param {string} id - Platform ID
+ * @param {string} text - Submitted text
+ * @returns {string|Array<string>}
+ */
+export function parseDraftInput(id, text) {
+    if (!getPlatform(id)?.thread) return text.trim();
+
+    return text
+        .split(/^\s*---\s*$/m)
+        .map(post => post.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Get the text used to compare and fingerprint an idea:
+ * its first draft in platform display order
+ * @param {Object} idea - Idea { drafts }
+ * @returns {string}
+ */
+export function getPrimaryDraft(idea) {
+    const drafts = idea?.drafts || {};
+    const id = Array.from(platforms.keys()).find(platformId => drafts[platformId]) || Object.keys(drafts)[0];
+    return id ? getDraftText(drafts[id]) : '';
+}
+
+/**
+ * Render one platform's draft as Slack blocks
+ * @param {string} id - Platform ID
+ * @param {string|Array<string>} draft - Draft text (list of posts for thread platforms)
+ * @returns {Array} - Slack blocks
+ */
+export function renderDraftBlocks(id, draft) {
+    const platform = getPlatform(id) || { id, label: id, emoji: '📝' };
+
+    if (platform.renderBlocks) {
+        return platform.renderBlocks(draft, platform);
+    }
+
+    // Section text is capped by Slack; very long drafts are cut for display only
+    const text = `*${platform.emoji} ${platform.label} Draft:*\n\n${getDraftText(draft)}`;
+    return [
+        {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: text.length > SLACK_SECTION_LIMIT ? `${text.slice(0, SLACK_SECTION_LIMIT - 1)}…` : text,
+            },
+        },
+    ];
+}
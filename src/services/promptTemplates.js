@@ -0,0 +1,166 @@
+/**
+ * Prompt Template Service
+ *
+ * Per-channel analysis prompts:
+ * - Built-in templates, plus custom ones per workspace, with {channelName}, {audience} and {conversation} variables
+ * - Channel-to-template bindings (persisted)
+ * - Managed from Slack via /chitchatposts prompt set|show|reset
+ */
+
+import { getCollection, teamKey } from './persistence.js';
+
+const DEFAULT_AUDIENCE = process.env.DEFAULT_AUDIENCE || 'founders, engineers and product people on LinkedIn and X';
+const DEFAULT_TEMPLATE_NAME = 'default';
+
+// Variables a template may reference
+export const TEMPLATE_VARIABLES = ['channelName', 'audience', 'conversation'];
+
+/**
+ * Built-in templates (cannot be overwritten or deleted)
+ */
+const BUILTIN_TEMPLATES = {
+    default: {
+        name: 'default',
+        audience: DEFAULT_AUDIENCE,
+        body: 'Analyze this Slack conversation from #{channelName} and identify any post-worthy moments for {audience}:\n\n{conversation}',
+    },
+    technical: {
+        name: 'technical',
+        audience: 'software engineers and technical leaders',
+        body: 'This conversation is from #{channelName}, an engineering channel. Look for technical deep-dive angles: ' +
+            'architecture decisions, debugging stories, performance numbers, tradeoffs and lessons learned. ' +
+            'Drafts should be concrete and specific enough for {audience}.\n\n{conversation}',
+    },
+    reflective: {
+        name: 'reflective',
+        audience: 'founders and early-stage operators',
+        body: 'This conversation is from #{channelName}. Look for reflective, first-person founder angles: ' +
+            'hard decisions, mistakes and what changed our thinking. ' +
+            'Drafts should read as honest reflections written for {audience}, not announcements.\n\n{conversation}',
+    },
+};
+
+// Custom templates: { "teamId:name": { name, teamId, body, audience, updatedBy, updatedAt } }
+const customTemplates = getCollection('promptTemplates');
+
+// Channel bindings: { "teamId:channelId": templateName }
+const channelBindings = getCollection('channelPromptBindings');
+
+/**
+ * Get a template by name (the workspace's custom templates or a built-in)
+ * @param {string} teamId - Slack team ID
+ * @param {string} name - Template name
+ * @returns {Object|null}
+ */
+export function getTemplate(teamId, name) {
+    return BUILTIN_TEMPLATES[name] || customTemplates.get(teamKey(teamId, name)) || null;
+}
+
+/**
+ * List the templates available in a workspace
+ * @param {string} teamId - Slack team ID
+ * @returns {Array} - Array of { name, audience, builtin }
+ */
+export function listTemplates(teamId) {
+    return [
+        ...Object.values(BUILTIN_TEMPLATES).map(template => ({ ...template, builtin: true })),
+        ...Array.from(customTemplates.values())
+            .filter(template => template.teamId === teamId)
+            .map(template => ({ ...template, builtin: false })),
+    ];
+}
+
+/**
+ * Create or update a workspace's custom template
+ * @param {string} teamId - Slack team ID
+ * @param {string} name - Template name (letters, digits, - and _)
+ * @param {Object} template - { body, audience }
+ * @param {Object} options - { userId }
+ * @returns {Object} - Saved template
+ */
+export function saveTemplate(teamId, name, { body, audience }, options = {}) {
+    if (!/^[a-z0-9_-]{1,40}$/i.test(name)) {
+        throw new Error('Template names may only contain letters, digits, - and _ (max 40 characters).');
+    }
+    if (BUILTIN_TEMPLATES[name]) {
+        throw new Error(`\`${name}\` is a built-in template and can't be changed. Pick another name.`);
+    }
+    if (!body?.trim()) {
+        throw new Error('Template text cannot be empty.');
+    }
+
+    const unknown = (body.match(/\{(\w+)\}/g) || [])
+        .map(token => token.slice(1, -1))
+        .filter(variable => !TEMPLATE_VARIABLES.includes(variable));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown variable(s): ${unknown.map(v => `{${v}}`).join(', ')}. Available: ${TEMPLATE_VARIABLES.map(v => `{${v}}`).join(', ')}`);
+    }
+
+    const key = teamKey(teamId, name);
+    const existing = customTemplates.get(key);
+    const template = {
+        name,
+        teamId,
+        body: body.trim(),
+        audience: audience || existing?.audience || DEFAULT_AUDIENCE,
+        updatedBy: options.userId || null,
+        updatedAt: Date.now(),
+    };
+
+    customTemplates.set(key, template);
+    console.log(`[PromptTemplates] Saved template ${name} for ${teamId}`);
+    return template;
+}
+
+/**
+ * Bind a template to a channel
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID
+ * @param {string} name - Template name
+ */
+export function bindTemplate(teamId, channelId, name) {
+    if (!getTemplate(teamId, name)) {
+        throw new Error(`Template \`${name}\` not found.`);
+    }
+    channelBindings.set(teamKey(teamId, channelId), name);
+    console.log(`[PromptTemplates] Bound ${teamId}/${channelId} to template ${name}`);
+}
+
+/**
+ * Remove a channel's template binding (falls back to the default template)
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID
+ * @returns {boolean} - Whether a binding existed
+ */
+export function resetChannelTemplate(teamId, channelId) {
+    return channelBindings.delete(teamKey(teamId, channelId));
+}
+
+/**
+ * Get the template used for a channel
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID (optional)
+ * @returns {Object} - Template (falls back to default if the bound template was removed)
+ */
+export function getChannelTemplate(teamId, channelId) {
+    const name = channelId ? channelBindings.get(teamKey(teamId, channelId)) : null;
+    return (name && getTemplate(teamId, name)) || BUILTIN_TEMPLATES[DEFAULT_TEMPLATE_NAME];
+}
+
+/**
+ * Render a template's variables
+ * The conversation is appended if the template doesn't place it explicitly.
+ * @param {Object} template - { body, audience }
+ * @param {Object} variables - { channelName, conversation }
+ * @returns {string}
+ */
+export function renderTemplate(template, variables) {
+    const values = { audience: template.audience || DEFAULT_AUDIENCE, ...variables };
+    const rendered = template.body.replace(/\{(\w+)\}/g, (token, name) => (
+        TEMPLATE_VARIABLES.includes(name) ? values[name] ?? '' : token
+    ));
+
+    return template.body.includes('{conversation}')
+        ? rendered
+        : `${rendered}\n\n${values.conversation}`;
+}
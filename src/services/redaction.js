@@ -0,0 +1,356 @@
+/**
+ * Redaction Service
+ *
+ * Removes PII and secrets from message text before it reaches the LLM:
+ * - Built-in detectors (emails, phone numbers, API keys, internal URLs, card numbers)
+ * - Custom regex patterns and keyword lists, configurable per workspace
+ * - Reversible placeholder map ("[CUSTOMER_1]" -> "Acme Corp")
+ *
+ * Placeholder maps hold the original values, so they are kept in memory only (never stored with
+ * suggestions, returned by the API or sent to webhooks) and are gone after a restart.
+ */
+
+import fs from 'fs';
+import { getCollection } from './persistence.js';
+
+const REDACTION_ENABLED = process.env.REDACTION_ENABLED !== 'false';
+const REDACTION_CONFIG_PATH = process.env.REDACTION_CONFIG_PATH;
+const INTERNAL_DOMAINS = process.env.REDACTION_INTERNAL_DOMAINS?.split(',').map(d => d.trim().toLowerCase()).filter(Boolean) || [];
+
+// Per-workspace settings: { teamId: settings }
+const workspaceSettings = getCollection('redactionSettings');
+
+// Placeholder maps of recent suggestions (memory only): { suggestionId: { placeholder: original } }
+const placeholderMaps = new Map();
+const MAX_PLACEHOLDER_MAPS = 500;
+
+/**
+ * Check whether a URL points at an internal host
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isInternalUrl(url) {
+    let host;
+    try {
+        host = new URL(url).hostname.toLowerCase();
+    } catch {
+        return false;
+    }
+
+    if (host === 'localhost' || /\.(internal|local|corp|lan|intranet)$/.test(host)) return true;
+    if (/^(10\.|127\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(host)) return true;
+    return INTERNAL_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Luhn checksum, to avoid flagging arbitrary digit runs as card numbers
+ * @param {string} value
+ * @returns {boolean}
+ */
+function passesLuhn(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i], 10);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Built-in detectors, applied in order (secrets before URLs before emails, etc.)
+ * Each has a placeholder label, a global regex and an optional validator.
+ */
+const DETECTORS = {
+    secret: {
+        label: 'SECRET',
+        pattern: /\b(?:sk-[A-Za-z0-9_-]{16,}|xox[abposr]-[A-Za-z0-9-]{10,}|xapp-[A-Za-z0-9-]{10,}|gh[pousr]_[A-Za-z0-9]{20,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35})\b|\b(?:api[_-]?key|secret|token|password|passwd)\s*[:=]\s*\S+/gi,
+    },
+    internalUrl: {
+        label: 'INTERNAL_URL',
+        pattern: /https?:\/\/[^\s<>|]+/gi,
+        validate: isInternalUrl,
+    },
+    email: {
+        label: 'EMAIL',
+        pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    },
+    creditCard: {
+        label: 'CARD',
+        pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+        validate: passesLuhn,
+    },
+    phone: {
+        label: 'PHONE',
+        pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}[\s.-]\d{3,4}[\s.-]?\d{3,4}\b/g,
+        validate: (value) => value.replace(/\D/g, '').length >= 9,
+    },
+};
+
+/**
+ * Load default settings from REDACTION_CONFIG_PATH (JSON), if configured
+ * @returns {Object}
+ */
+function loadDefaultSettings() {
+    if (!REDACTION_CONFIG_PATH) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(REDACTION_CONFIG_PATH, 'utf8'));
+    } catch (error) {
+        console.error(`[Redaction] Failed to load ${REDACTION_CONFIG_PATH}:`, error.message);
+        return {};
+    }
+}
+
+const DEFAULT_SETTINGS = {
+    enabled: REDACTION_ENABLED,
+    detectors: Object.keys(DETECTORS),
+    // [{ pattern: 'PROJ-\\d+', flags: 'i', label: 'TICKET' }]
+    customPatterns: [],
+    // [{ label: 'CUSTOMER', terms: ['Acme Corp', 'Globex'] }]
+    keywords: [],
+    ...loadDefaultSettings(),
+};
+
+/**
+ * Get redaction settings for a workspace (falls back to defaults)
+ * @param {string} teamId - Slack team ID (optional)
+ * @returns {Object}
+ */
+export function getRedactionSettings(teamId = null) {
+    const overrides = teamId ? workspaceSettings.get(teamId) : null;
+    return { ...DEFAULT_SETTINGS, ...overrides };
+}
+
+/**
+ * Validate partial redaction settings
+ * @param {Object} settings - { enabled, detectors, customPatterns, keywords }
+ * @throws {Error} - Message suitable for Slack and the API
+ */
+function validateSettings({ enabled, detectors, customPatterns, keywords }) {
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw new Error('enabled must be true or false.');
+    }
+    if (detectors !== undefined) {
+        const unknown = Array.isArray(detectors) ? detectors.filter(name => !Object.hasOwn(DETECTORS, name)) : [detectors];
+        if (unknown.length > 0) {
+            throw new Error(`Unknown detector(s): ${unknown.join(', ')}. Available: ${Object.keys(DETECTORS).join(', ')}`);
+        }
+    }
+    for (const rule of customPatterns || []) {
+        if (typeof rule?.pattern !== 'string' || !rule.pattern || (rule.label && !/^[A-Z_]+$/i.test(rule.label))) {
+            throw new Error('Custom patterns need a pattern and a label made of letters and underscores.');
+        }
+        let regex;
+        try {
+            regex = new RegExp(rule.pattern, rule.flags);
+        } catch (error) {
+            throw new Error(`Invalid pattern \`${rule.pattern}\`: ${error.message}`);
+        }
+        // A pattern matching nothing would put a placeholder between every character
+        if (regex.test('')) {
+            throw new Error(`Pattern \`${rule.pattern}\` matches empty text; make it match at least one character.`);
+        }
+    }
+    for (const rule of keywords || []) {
+        if (!/^[A-Z_]+$/i.test(rule?.label || '') || !Array.isArray(rule.terms) || rule.terms.some(term => typeof term !== 'string')) {
+            throw new Error('Keyword lists need a label made of letters and underscores and a list of terms.');
+        }
+    }
+}
+
+/**
+ * Set redaction settings for a workspace
+ * @param {string} teamId - Slack team ID
+ * @param {Object} settings - Partial settings { enabled, detectors, customPatterns, keywords }
+ * @returns {Object} - Effective settings
+ * @throws {Error} - If the settings are invalid (nothing is saved)
+ */
+export function setRedactionSettings(teamId, settings) {
+    validateSettings(settings);
+
+    const { enabled, detectors, customPatterns, keywords } = settings;
+    const changes = Object.fromEntries(Object.entries({ enabled, detectors, customPatterns, keywords })
+        .filter(([, value]) => value !== undefined));
+
+    workspaceSettings.set(teamId, { ...workspaceSettings.get(teamId), ...changes });
+    console.log(`[Redaction] Updated settings for ${teamId}`);
+    return getRedactionSettings(teamId);
+}
+
+/**
+ * Remove a workspace's redaction settings (back to the defaults)
+ * @param {string} teamId - Slack team ID
+ * @returns {boolean} - Whether the workspace had settings
+ */
+export function resetRedactionSettings(teamId) {
+    return workspaceSettings.delete(teamId);
+}
+
+/**
+ * List the built-in detector names
+ * @returns {Array<string>}
+ */
+export function listDetectors() {
+    return Object.keys(DETECTORS);
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the ordered list of { label, pattern, validate } rules for the settings
+ * Keywords and custom patterns run first so they win over generic detectors.
+ * @param {Object} settings
+ * @returns {Array}
+ */
+function buildRules(settings) {
+    const rules = [];
+
+    for (const { label, terms } of settings.keywords || []) {
+        const alternatives = (terms || []).filter(Boolean).map(escapeRegExp);
+        if (alternatives.length === 0) continue;
+        // Lookarounds rather than \b, so terms like @acme, C++ or #launch still match
+        rules.push({
+            label: label.toUpperCase(),
+            pattern: new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu'),
+        });
+    }
+
+    for (const { pattern, flags = 'i', label = 'REDACTED' } of settings.customPatterns || []) {
+        rules.push({ label: label.toUpperCase(), pattern: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`) });
+    }
+
+    for (const name of settings.detectors || []) {
+        if (DETECTORS[name]) rules.push(DETECTORS[name]);
+    }
+
+    return rules;
+}
+
+/**
+ * Create a redactor that shares one placeholder map across many texts,
+ * so the same value gets the same placeholder throughout a conversation.
+ * @param {Object} settings - Redaction settings
+ * @returns {Object} - { redact(text): string, placeholders: Object }
+ */
+function createRedactor(settings) {
+    const rules = buildRules(settings);
+    const placeholders = {};
+    const placeholderByValue = new Map();
+    const countByLabel = new Map();
+
+    const placeholderFor = (label, value) => {
+        const key = `${label}:${value.toLowerCase()}`;
+        if (!placeholderByValue.has(key)) {
+            const count = (countByLabel.get(label) || 0) + 1;
+            countByLabel.set(label, count);
+            const placeholder = `[${label}_${count}]`;
+            placeholderByValue.set(key, placeholder);
+            placeholders[placeholder] = value;
+        }
+        return placeholderByValue.get(key);
+    };
+
+    const redact = (text) => {
+        if (!text) return text;
+
+        return rules.reduce((current, { label, pattern, validate }) => current.replace(pattern, (match) => {
+            // Never re-redact an existing placeholder (or replace an empty match)
+            if (!match) return match;
+            if (/^\[[A-Z_]+_\d+\]$/.test(match)) return match;
+            if (validate && !validate(match)) return match;
+            return placeholderFor(label, match);
+        }), text);
+    };
+
+    return { redact, placeholders };
+}
+
+/**
+ * Redact message text before analysis
+ * @param {Array} messages - Array of message objects { text, userName, ... }
+ * @param {Object} options - { teamId, settings } (settings override the workspace lookup)
+ * @returns {Object} - { messages: Array, placeholders: Object } placeholder -> original value
+ */
+export function redactMessages(messages, options = {}) {
+    const settings = options.settings || getRedactionSettings(options.teamId);
+
+    if (!settings.enabled) {
+        return { messages, placeholders: {} };
+    }
+
+    const { redact, placeholders } = createRedactor(settings);
+    const redacted = messages.map(msg => ({
+        ...msg,
+        text: redact(msg.text),
+        ...(msg.userName && { userName: redact(msg.userName) }),
+    }));
+
+    const count = Object.keys(placeholders).length;
+    if (count > 0) {
+        console.log(`[Redaction] Replaced ${count} sensitive value(s) with placeholders`);
+    }
+
+    return { messages: redacted, placeholders };
+}
+
+/**
+ * Restore original values in text that contains placeholders
+ * @param {string} text - Text with placeholders (e.g. an LLM draft)
+ * @param {Object} placeholders - Placeholder map from redactMessages
+ * @returns {string}
+ */
+export function restoreText(text, placeholders = {}) {
+    if (!text) return text;
+    return text.replace(/\[[A-Z_]+_\d+\]/g, (placeholder) => placeholders[placeholder] ?? placeholder);
+}
+
+/**
+ * Keep a suggestion's placeholder map in memory, so reviewers can see the original values
+ * @param {string} suggestionId - Suggestion ID
+ * @param {Object} placeholders - Placeholder map from redactMessages
+ */
+export function rememberPlaceholders(suggestionId, placeholders) {
+    if (!suggestionId || !placeholders || Object.keys(placeholders).length === 0) return;
+
+    if (placeholderMaps.size >= MAX_PLACEHOLDER_MAPS) {
+        placeholderMaps.delete(placeholderMaps.keys().next().value);
+    }
+    placeholderMaps.set(suggestionId, placeholders);
+}
+
+/**
+ * Check whether a suggestion's original values can still be restored
+ * @param {string} suggestionId - Suggestion ID
+ * @returns {boolean}
+ */
+export function hasPlaceholders(suggestionId) {
+    return placeholderMaps.has(suggestionId);
+}
+
+/**
+ * Restore the original values in a suggestion's drafts
+ * @param {string} suggestionId - Suggestion ID
+ * @param {Object} drafts - { platformId: text | [posts] }
+ * @returns {Object|null} - Restored drafts, or null if the placeholder map is gone
+ */
+export function restoreDrafts(suggestionId, drafts) {
+    const placeholders = placeholderMaps.get(suggestionId);
+    if (!placeholders) return null;
+
+    return Object.fromEntries(Object.entries(drafts).map(([platformId, draft]) => [
+        platformId,
+        Array.isArray(draft) ? draft.map(post => restoreText(post, placeholders)) : restoreText(draft, placeholders),
+    ]));
+}
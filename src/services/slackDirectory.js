@@ -0,0 +1,211 @@
+/**
+ * Slack Directory Service
+ *
+ * Resolves user, channel and user group IDs to display names:
+ * - users.info / conversations.info lookups with a TTL cache (one per workspace client)
+ * - Humanizes message speakers and inline <@U…>, <#C…>, <!subteam^…> tokens
+ * - Optional anonymization of people by role ("an engineer", "our PM")
+ */
+
+const CACHE_TTL_MS = (parseInt(process.env.DIRECTORY_CACHE_TTL_MINUTES, 10) || 60) * 60 * 1000;
+// Failed lookups are retried sooner (e.g. a rate-limited users.info shouldn't deny admin rights for an hour)
+const FAILURE_TTL_MS = 30 * 1000;
+const ANONYMIZE_USERS = process.env.ANONYMIZE_USERS === 'true';
+// Users allowed to run admin subcommands, in addition to workspace admins/owners
+const ADMIN_USER_IDS = process.env.ADMIN_USER_IDS?.split(',').map(id => id.trim()).filter(Boolean) || [];
+
+// Cache per Slack client: { `${kind}:${id}`: { value: Promise, expiresAt } }
+// Each workspace has its own client, so names and admin status (which differ per workspace,
+// even for the same Slack Connect user) never leak between workspaces.
+// Promises are cached so concurrent lookups for the same ID share one API call
+let caches = new WeakMap();
+
+/**
+ * Role keywords matched against a user's profile title, checked in order.
+ * Used to describe people when anonymizing.
+ */
+const ROLE_LABELS = [
+    { pattern: /\b(ceo|founder|co-founder|cofounder)\b/i, label: 'our founder' },
+    { pattern: /\b(cto)\b/i, label: 'our CTO' },
+    { pattern: /\b(pm|product manager|head of product|product lead)\b/i, label: 'our PM' },
+    { pattern: /\b(designer|design|ux|ui)\b/i, label: 'a designer' },
+    { pattern: /\b(engineer|developer|dev|sre|devops)\b/i, label: 'an engineer' },
+    { pattern: /\b(marketing|growth)\b/i, label: 'someone on our growth team' },
+    { pattern: /\b(sales|account executive|customer success|support)\b/i, label: 'someone on our customer team' },
+    { pattern: /\b(intern)\b/i, label: 'an intern' },
+];
+const DEFAULT_ROLE_LABEL = 'a teammate';
+
+/**
+ * Get a cached value or load and cache it
+ * A failed load resolves to the fallback, which is only cached for FAILURE_TTL_MS.
+ * @param {Object} client - Slack WebClient whose cache is used
+ * @param {string} key - Cache key
+ * @param {Function} loader - Async loader returning the value
+ * @param {Function} fallback - Called with the loader's error, returns the value to use instead
+ * @returns {Promise<*>}
+ */
+function cached(client, key, loader, fallback) {
+    if (!caches.has(client)) caches.set(client, new Map());
+    const cache = caches.get(client);
+
+    const current = cache.get(key);
+    if (current && current.expiresAt > Date.now()) {
+        return current.value;
+    }
+
+    const entry = { value: null, expiresAt: Date.now() + CACHE_TTL_MS };
+    entry.value = loader().catch((error) => {
+        entry.expiresAt = Date.now() + FAILURE_TTL_MS;
+        return fallback(error);
+    });
+    cache.set(key, entry);
+    return entry.value;
+}
+
+/**
+ * Look up a user
+ * @param {Object} client - Slack WebClient
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<Object>} - { id, name, title, isAdmin } (name falls back to the ID)
+ */
+export async function getUser(client, userId) {
+    return cached(client, `user:${userId}`, async () => {
+        const { user } = await client.users.info({ user: userId });
+        return {
+            id: userId,
+            name: user.profile?.display_name || user.real_name || user.name || userId,
+            title: user.profile?.title || '',
+            isAdmin: !!(user.is_admin || user.is_owner),
+        };
+    }, (error) => {
+        console.warn(`[Directory] Could not resolve user ${userId}:`, error.data?.error || error.message);
+        return { id: userId, name: userId, title: '', isAdmin: false };
+    });
+}
+
+/**
+ * Look up a channel
+ * @param {Object} client - Slack WebClient
+ * @param {string} channelId - Slack channel ID
+ * @returns {Promise<Object>} - { id, name } (name falls back to the ID)
+ */
+export async function getChannel(client, channelId) {
+    return cached(client, `channel:${channelId}`, async () => {
+        const { channel } = await client.conversations.info({ channel: channelId });
+        return { id: channelId, name: channel.name || channelId };
+    }, (error) => {
+        console.warn(`[Directory] Could not resolve channel ${channelId}:`, error.data?.error || error.message);
+        return { id: channelId, name: channelId };
+    });
+}
+
+/**
+ * Check whether a user may run admin subcommands
+ * (listed in ADMIN_USER_IDS, or a workspace admin/owner)
+ * @param {Object} client - Slack WebClient
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<boolean>}
+ */
+export async function isAdminUser(client, userId) {
+    if (ADMIN_USER_IDS.includes(userId)) return true;
+    return (await getUser(client, userId)).isAdmin;
+}
+
+/**
+ * Resolve a channel's display name, falling back to its ID without a client
+ * @param {Object} client - Slack WebClient (optional)
+ * @param {string} channelId - Slack channel ID
+ * @returns {Promise<string|null>}
+ */
+export async function getChannelName(client, channelId) {
+    if (!channelId) return null;
+    if (!client) return channelId;
+    return (await getChannel(client, channelId)).name;
+}
+
+/**
+ * Describe a user by role, for anonymized output
+ * @param {Object} user - { title }
+ * @returns {string} - e.g. "an engineer"
+ */
+export function getRoleLabel(user) {
+    const match = ROLE_LABELS.find(({ pattern }) => pattern.test(user.title || ''));
+    return match ? match.label : DEFAULT_ROLE_LABEL;
+}
+
+/**
+ * Resolve how a user should be referred to
+ * @param {Object} user - { name, title }
+ * @param {boolean} anonymize - Refer to the user by role instead of name
+ * @returns {string}
+ */
+function describeUser(user, anonymize) {
+    if (anonymize) return getRoleLabel(user);
+    return user.title ? `${user.name} (${user.title})` : user.name;
+}
+
+/**
+ * Replace Slack mention tokens in text with readable names
+ * @param {Object} client - Slack WebClient
+ * @param {string} text - Raw Slack message text
+ * @param {Object} options - { anonymize }
+ * @returns {Promise<string>}
+ */
+export async function humanizeText(client, text, options = {}) {
+    if (!text) return text;
+
+    const { anonymize = ANONYMIZE_USERS } = options;
+    const tokens = text.match(/<[@#!][^>]+>/g) || [];
+    let result = text;
+
+    for (const token of new Set(tokens)) {
+        const [ref, label] = token.slice(1, -1).split('|');
+        let replacement = token;
+
+        if (ref.startsWith('@')) {
+            const user = await getUser(client, ref.slice(1));
+            replacement = anonymize ? getRoleLabel(user) : `@${user.name}`;
+        } else if (ref.startsWith('#')) {
+            replacement = `#${label || (await getChannel(client, ref.slice(1))).name}`;
+        } else if (ref.startsWith('!subteam^')) {
+            replacement = label || '@team';
+        } else if (['!here', '!channel', '!everyone'].includes(ref)) {
+            replacement = `@${ref.slice(1)}`;
+        }
+
+        result = result.split(token).join(replacement);
+    }
+
+    return result;
+}
+
+/**
+ * Resolve speakers and mentions for a list of messages
+ * Adds `userName` to each message and rewrites mention tokens in `text`.
+ * @param {Object} client - Slack WebClient
+ * @param {Array} messages - Array of message objects { user, text, ... }
+ * @param {Object} options - { anonymize } (defaults to ANONYMIZE_USERS)
+ * @returns {Promise<Array>} - New array of humanized messages
+ */
+export async function humanizeMessages(client, messages, options = {}) {
+    const { anonymize = ANONYMIZE_USERS } = options;
+
+    if (!client) return messages;
+
+    return Promise.all(messages.map(async (msg) => {
+        const user = msg.user ? await getUser(client, msg.user) : null;
+        return {
+            ...msg,
+            userName: user ? describeUser(user, anonymize) : null,
+            text: await humanizeText(client, msg.text, { anonymize }),
+        };
+    }));
+}
+
+/**
+ * Clear the directory cache
+ */
+export function clearDirectoryCache() {
+    caches = new WeakMap();
+}
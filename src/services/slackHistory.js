@@ -2,10 +2,47 @@
  * Slack History Service
  * 
  * Fetches historical messages from Slack API for analysis.
+ * Thread replies are pulled via conversations.replies for any parent with replies.
  * Used by /chitchatposts history and /chitchatposts sync commands.
+ *
+ * Fetches stay within a budget (SLACK_HISTORY_MAX_PAGES / SLACK_HISTORY_MAX_MESSAGES, newest
+ * messages kept), wait out rate limits (Retry-After) and checkpoint their cursor after every page:
+ * a failed fetch of the same range resumes where it stopped for SLACK_HISTORY_RESUME_MINUTES.
+ * Checkpoints hold messages that are not redacted yet, so they stay in memory (lost on restart).
  */
 
+import { webApi } from '@slack/bolt';
 import { shouldStoreMessage } from './conversationBuffer.js';
+import { recordSlackHistoryPage, recordSlackRateLimit } from './metrics.js';
+import { teamKey } from './persistence.js';
+
+const SLACK_HISTORY_MAX_PAGES = parseInt(process.env.SLACK_HISTORY_MAX_PAGES, 10) || 50;
+const SLACK_HISTORY_MAX_MESSAGES = parseInt(process.env.SLACK_HISTORY_MAX_MESSAGES, 10) || 5000;
+const SLACK_HISTORY_MAX_RETRIES = parseInt(process.env.SLACK_HISTORY_MAX_RETRIES, 10) || 5;
+const RESUME_WINDOW_MS = (parseInt(process.env.SLACK_HISTORY_RESUME_MINUTES, 10) || 60) * 60 * 1000;
+
+// Cached clients per token (least recently used evicted first)
+const MAX_HISTORY_CLIENTS = 50;
+
+// Backoff for rate-limit errors without a Retry-After (doubles per attempt)
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+// Unfinished fetches: { "teamId:channelId": { teamId, channelId, oldest, latest, cursor, historyDone,
+//   messages, threadParents, threadsDone, pages, updatedAt } }
+// (latest is pinned when the fetch starts; removed once the fetch completes or expires)
+const checkpoints = new Map();
+
+// Clients that reject rate-limited calls, by token: { token: WebClient }
+const historyClients = new Map();
+
+/**
+ * Forget the cached client for a token (e.g. when its workspace uninstalls the app)
+ * @param {string} token - Bot token
+ */
+export function forgetHistoryClient(token) {
+    historyClients.delete(token);
+}
 
 /**
  * Parse time string into milliseconds
@@ -31,61 +68,339 @@ export function parseTimeString(timeStr) {
     }
 }
 
+/**
+ * Convert a Slack API message into the buffer message shape
+ * @param {Object} msg - Slack message
+ * @returns {Object}
+ */
+function toBufferMessage(msg) {
+    return {
+        user: msg.user,
+        text: msg.text,
+        timestamp: msg.ts,
+        threadTs: msg.thread_ts || null,
+        addedAt: parseFloat(msg.ts) * 1000,
+    };
+}
+
+/**
+ * Get a client that rejects rate-limited calls instead of retrying them itself
+ * (WebClient's own retries can wait for half an hour, beyond the job's timeout and signal)
+ * @param {Object} client - Slack WebClient
+ * @returns {Object} - WebClient with the same token (the client itself if it has none)
+ */
+function getHistoryClient(client) {
+    if (!client.token || client.rejectRateLimitedCalls) return client;
+
+    let historyClient = historyClients.get(client.token);
+    if (historyClient) {
+        // Re-insert so the map stays in least recently used order
+        historyClients.delete(client.token);
+    } else {
+        historyClient = new webApi.WebClient(client.token, { rejectRateLimitedCalls: true });
+        if (historyClients.size >= MAX_HISTORY_CLIENTS) {
+            historyClients.delete(historyClients.keys().next().value);
+        }
+    }
+    historyClients.set(client.token, historyClient);
+    return historyClient;
+}
+
+/**
+ * Get how long to wait before retrying a rate-limited call
+ * @param {Error} error - Error thrown by the Slack client
+ * @param {number} attempt - Retries made so far
+ * @returns {number|null} - Milliseconds (Retry-After, else exponential backoff), or null if not rate-limited
+ */
+function getRateLimitDelay(error, attempt) {
+    let retryAfter = null;
+
+    if (error?.code === webApi.ErrorCode.RateLimitedError) {
+        retryAfter = error.retryAfter;
+    } else if (error?.statusCode === 429) {
+        retryAfter = parseInt(error.headers?.['retry-after'], 10);
+    } else if (error?.data?.error !== 'ratelimited') {
+        return null;
+    }
+
+    if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+        return retryAfter * 1000;
+    }
+    return Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} signal - Optional
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Call a Slack history method, retrying while it is rate-limited
+ * @param {Object} client - Slack WebClient
+ * @param {string} method - 'conversations.history' or 'conversations.replies'
+ * @param {Object} params - Method arguments
+ * @param {AbortSignal} signal - Stops retrying when aborted (optional)
+ * @returns {Promise<Object>} - Slack response
+ */
+async function callHistoryMethod(client, method, params, signal = null) {
+    const [group, name] = method.split('.');
+
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted();
+
+        try {
+            const response = await client[group][name](params);
+            recordSlackHistoryPage(method);
+
+            if (!response.ok) {
+                throw new Error(`Slack API error: ${response.error}`);
+            }
+            return response;
+        } catch (error) {
+            const delayMs = getRateLimitDelay(error, attempt);
+            if (delayMs === null) throw error;
+
+            recordSlackRateLimit(method);
+            if (attempt >= SLACK_HISTORY_MAX_RETRIES) {
+                throw new Error('Slack is rate limiting history requests. Try again in a minute; the fetch resumes where it stopped.');
+            }
+
+            console.warn(`[SlackHistory] ${method} rate limited, retrying in ${Math.ceil(delayMs / 1000)}s (retry ${attempt + 1}/${SLACK_HISTORY_MAX_RETRIES})`);
+            await sleep(delayMs, signal);
+        }
+    }
+}
+
+/**
+ * Check whether a fetch may keep more messages
+ * @param {Object} state - Fetch state (see checkpoints)
+ * @param {number} pending - Messages collected but not yet added to the state
+ * @returns {boolean}
+ */
+function hasMessageBudget(state, pending = 0) {
+    return state.messages.length + pending < SLACK_HISTORY_MAX_MESSAGES;
+}
+
+/**
+ * Check whether a fetch may request another page
+ * @param {Object} state - Fetch state (see checkpoints)
+ * @param {number} pending - Messages collected but not yet added to the state
+ * @returns {boolean}
+ */
+function hasBudget(state, pending = 0) {
+    return state.pages < SLACK_HISTORY_MAX_PAGES && hasMessageBudget(state, pending);
+}
+
+/**
+ * Fetch the replies of a thread (excluding the parent message)
+ * Stops early when the fetch's budget runs out.
+ * @param {Object} client - Slack WebClient
+ * @param {Object} state - Fetch state (pages are counted on it)
+ * @param {string} threadTs - Timestamp of the thread parent
+ * @param {number} latest - Unix timestamp (seconds) for latest reply (optional)
+ * @param {AbortSignal} signal - Optional
+ * @returns {Promise<Array>} - Array of filtered replies
+ */
+async function fetchThreadReplies(client, state, threadTs, latest = null, signal = null) {
+    const replies = [];
+    let cursor = undefined;
+    let hasMore = true;
+
+    while (hasMore && hasBudget(state, replies.length)) {
+        const params = {
+            channel: state.channelId,
+            ts: threadTs,
+            oldest: state.oldest.toString(),
+            limit: 200,
+            cursor,
+        };
+
+        if (latest) {
+            params.latest = latest.toString();
+        }
+
+        const response = await callHistoryMethod(client, 'conversations.replies', params, signal);
+        state.pages++;
+
+        for (const msg of response.messages || []) {
+            // The parent is returned as the first message of every page
+            if (msg.ts === threadTs) continue;
+
+            if (shouldStoreMessage(msg) && hasMessageBudget(state, replies.length)) {
+                replies.push(toBufferMessage(msg));
+            }
+        }
+
+        hasMore = response.has_more && response.response_metadata?.next_cursor;
+        cursor = response.response_metadata?.next_cursor;
+    }
+
+    return replies;
+}
+
+/**
+ * Get the newest Slack timestamp in a list of messages
+ * Messages may be grouped by thread, so the last element is not necessarily the newest.
+ * @param {Array} messages - Array of messages
+ * @returns {string|null} - Slack timestamp or null if empty
+ */
+export function getLatestTimestamp(messages) {
+    let latest = null;
+    for (const msg of messages) {
+        if (!latest || parseFloat(msg.timestamp) > parseFloat(latest)) {
+            latest = msg.timestamp;
+        }
+    }
+    return latest;
+}
+
+/**
+ * Find a checkpoint a fetch can resume from
+ * It must cover the requested range and be recent: a retry of the same relative range
+ * ("last 30 days") starts later by about the time since the checkpoint was taken.
+ * @param {string} key - Checkpoint key
+ * @param {number} oldest - Requested oldest (seconds)
+ * @param {number} latest - Requested latest (seconds), or null for now
+ * @returns {Object|null}
+ */
+function findCheckpoint(key, oldest, latest) {
+    // Drop expired checkpoints, including other channels' (their messages are held in memory)
+    for (const [checkpointKey, checkpoint] of checkpoints) {
+        if (Date.now() - checkpoint.updatedAt > RESUME_WINDOW_MS) checkpoints.delete(checkpointKey);
+    }
+
+    const checkpoint = key ? checkpoints.get(key) : null;
+    if (!checkpoint) return null;
+
+    // +1s: time ranges are rounded down to whole seconds
+    const elapsedSeconds = Date.now() / 1000 - checkpoint.latest + 1;
+    const covers = checkpoint.oldest <= oldest && (latest === null || checkpoint.latest >= latest);
+    return covers && oldest - checkpoint.oldest <= elapsedSeconds ? checkpoint : null;
+}
+
 /**
  * Fetch messages from Slack history API
+ * With a teamId, progress is checkpointed after every page and a failed fetch resumes from
+ * its last cursor; messages after the checkpoint's range are fetched separately.
  * @param {Object} client - Slack WebClient
  * @param {string} channelId - Channel to fetch from
  * @param {number} oldest - Unix timestamp (seconds) for oldest message
  * @param {number} latest - Unix timestamp (seconds) for latest message (optional)
- * @returns {Promise<Array>} - Array of filtered messages
+ * @param {Object} options - { teamId, signal } (signal: stops the fetch, keeping its checkpoint)
+ * @returns {Promise<Array>} - Array of filtered messages, including thread replies
  */
-export async function fetchSlackHistory(client, channelId, oldest, latest = null) {
-    const messages = [];
-    let cursor = undefined;
-    let hasMore = true;
+export async function fetchSlackHistory(client, channelId, oldest, latest = null, options = {}) {
+    const { teamId = null, signal = null } = options;
+    const key = teamId ? teamKey(teamId, channelId) : null;
+    const historyClient = getHistoryClient(client);
 
-    console.log(`[SlackHistory] Fetching messages from ${channelId} since ${new Date(oldest * 1000).toISOString()}`);
+    let state = findCheckpoint(key, oldest, latest);
+    const resumed = !!state;
+
+    if (resumed) {
+        console.log(`[SlackHistory] Resuming fetch from ${channelId} (${state.messages.length} messages, ${state.pages} pages so far)`);
+    } else {
+        console.log(`[SlackHistory] Fetching messages from ${channelId} since ${new Date(oldest * 1000).toISOString()}`);
+        state = {
+            teamId,
+            channelId,
+            oldest,
+            latest: latest ?? Date.now() / 1000,
+            cursor: null,
+            historyDone: false,
+            messages: [],
+            threadParents: [],
+            threadsDone: 0,
+            pages: 0,
+            updatedAt: Date.now(),
+        };
+        if (key) checkpoints.set(key, state);
+    }
+
+    // The checkpoint is the state itself; only its timestamp needs refreshing
+    const saveCheckpoint = () => {
+        state.updatedAt = Date.now();
+    };
 
     try {
-        while (hasMore) {
+        // Messages since the resumed checkpoint's range (a fresh fetch with its own budget)
+        const recent = resumed && latest === null
+            ? await fetchSlackHistory(client, channelId, state.latest, null, { signal })
+            : [];
+
+        while (!state.historyDone && hasBudget(state)) {
             const params = {
                 channel: channelId,
-                oldest: oldest.toString(),
+                oldest: state.oldest.toString(),
+                latest: state.latest.toString(),
                 limit: 200, // Max per request
-                cursor,
+                cursor: state.cursor || undefined,
             };
 
-            if (latest) {
-                params.latest = latest.toString();
-            }
+            const response = await callHistoryMethod(historyClient, 'conversations.history', params, signal);
+            state.pages++;
 
-            const response = await client.conversations.history(params);
+            // Filter messages using the same logic as real-time buffer (newest first, so the budget keeps the latest)
+            for (const msg of response.messages || []) {
+                if (!hasMessageBudget(state)) break;
 
-            if (!response.ok) {
-                throw new Error(`Slack API error: ${response.error}`);
-            }
+                if (msg.reply_count > 0) {
+                    state.threadParents.push(msg.ts);
+                }
+
+                // Broadcast replies are also returned by conversations.replies
+                if (msg.subtype === 'thread_broadcast') continue;
 
-            // Filter messages using the same logic as real-time buffer
-            for (const msg of response.messages || []) {
                 if (shouldStoreMessage(msg)) {
-                    messages.push({
-                        user: msg.user,
-                        text: msg.text,
-                        timestamp: msg.ts,
-                        addedAt: parseFloat(msg.ts) * 1000,
-                    });
+                    state.messages.push(toBufferMessage(msg));
                 }
             }
 
             // Check for pagination
-            hasMore = response.has_more && response.response_metadata?.next_cursor;
-            cursor = response.response_metadata?.next_cursor;
+            state.cursor = response.response_metadata?.next_cursor || null;
+            state.historyDone = !(response.has_more && state.cursor);
+            saveCheckpoint();
+        }
+
+        // Pull thread replies for every parent that has them (replies up to now, unless a latest was given)
+        while (state.threadsDone < state.threadParents.length && hasBudget(state)) {
+            const threadTs = state.threadParents[state.threadsDone];
+            const replies = await fetchThreadReplies(historyClient, state, threadTs, latest, signal);
+            state.messages.push(...replies);
+            state.threadsDone++;
+            saveCheckpoint();
         }
 
-        // Sort by timestamp (oldest first)
+        if (!state.historyDone || state.threadsDone < state.threadParents.length) {
+            console.warn(`[SlackHistory] Stopped fetching ${channelId} at the budget (${state.pages} pages, ${state.messages.length} messages); older messages are left out`);
+        }
+        if (key) checkpoints.delete(key);
+
+        // A resumed checkpoint may start earlier than this request
+        const messages = [...recent, ...state.messages].filter(msg =>
+            parseFloat(msg.timestamp) > oldest && (latest === null || parseFloat(msg.timestamp) < latest));
+
+        // Sort by timestamp (oldest first); formatConversation nests replies under parents
         messages.sort((a, b) => parseFloat(a.timestamp) - parseFloat(b.timestamp));
 
-        console.log(`[SlackHistory] Fetched ${messages.length} messages from ${channelId}`);
+        console.log(`[SlackHistory] Fetched ${messages.length} messages (${state.threadParents.length} threads) from ${channelId}`);
         return messages;
 
     } catch (error) {
@@ -104,15 +419,16 @@ export async function fetchSlackHistory(client, channelId, oldest, latest = null
  * @param {Object} client - Slack WebClient
  * @param {string} channelId - Channel ID
  * @param {string} timeStr - Time string like "1h", "4h", "1d"
+ * @param {Object} options - { teamId, signal } (see fetchSlackHistory)
  * @returns {Promise<Array>} - Array of messages
  */
-export async function fetchHistoryByTime(client, channelId, timeStr) {
+export async function fetchHistoryByTime(client, channelId, timeStr, options = {}) {
     const durationMs = parseTimeString(timeStr);
     const nowMs = Date.now();
     const oldestMs = nowMs - durationMs;
     const oldestUnix = Math.floor(oldestMs / 1000);
 
-    return fetchSlackHistory(client, channelId, oldestUnix);
+    return fetchSlackHistory(client, channelId, oldestUnix, null, options);
 }
 
 /**
@@ -120,9 +436,10 @@ export async function fetchHistoryByTime(client, channelId, timeStr) {
  * @param {Object} client - Slack WebClient
  * @param {string} channelId - Channel ID
  * @param {string} sinceTs - Slack timestamp to start from
+ * @param {Object} options - { teamId, signal } (see fetchSlackHistory)
  * @returns {Promise<Array>} - Array of messages
  */
-export async function fetchMessagesSince(client, channelId, sinceTs) {
+export async function fetchMessagesSince(client, channelId, sinceTs, options = {}) {
     const oldestUnix = parseFloat(sinceTs);
-    return fetchSlackHistory(client, channelId, oldestUnix);
+    return fetchSlackHistory(client, channelId, oldestUnix, null, options);
 }
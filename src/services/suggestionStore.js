@@ -1,27 +1,46 @@
 /**
  * Suggestion Store Service
  * 
- * In-memory storage for:
- * - Past suggestions (for deduplication)
+ * Persistent storage (see persistence.js) for:
+ * - Past suggestions (for deduplication) and their lifecycle status
  * - Sync timestamps per channel
+ *
+ * Everything is partitioned by workspace: records carry their teamId and
+ * channel checkpoints are keyed by team + channel.
  */
 
-// Store for past suggestions: { fingerprintHash: { suggestion, timestamp } }
-const suggestionHistory = new Map();
+import { randomUUID } from 'crypto';
+import { getCollection, teamKey } from './persistence.js';
+import { getPrimaryDraft } from './platforms.js';
+import { recordSuggestion } from './metrics.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { rememberPlaceholders } from './redaction.js';
 
-// Store for sync timestamps: { channelId: lastSyncTimestamp }
-const syncTimestamps = new Map();
+// Suggestion lifecycle statuses
+export const SUGGESTION_STATUSES = ['pending', 'approved', 'rejected', 'snoozed', 'published'];
 
-// Store for last analyzed message timestamp: { channelId: lastAnalyzedTs }
+// How long a snoozed suggestion stays hidden before it is re-posted
+export const SNOOZE_DURATION_MS = 24 * 60 * 60 * 1000;
+
+// Store for past suggestions: { id: { id, suggestion, status, teamId, channelId, source, createdAt, updatedAt, ... } }
+const suggestionHistory = getCollection('suggestions');
+
+// Store for sync timestamps: { "teamId:channelId": lastSyncTimestamp }
+const syncTimestamps = getCollection('syncTimestamps');
+
+// Store for last analyzed message timestamp: { "teamId:channelId": lastAnalyzedTs }
 // Used to skip analysis if no new messages have arrived
-const lastAnalyzedTimestamps = new Map();
+const lastAnalyzedTimestamps = getCollection('lastAnalyzedTimestamps');
 
-// Per-channel cooldown: last time we posted content from this monitored channel (ms)
-const lastPostedByChannel = new Map();
+// Per-channel cooldown: last time we posted content from this monitored channel (ms), keyed by team + channel
+const lastPostedByChannel = getCollection('lastPostedByChannel');
 
-// Maximum suggestions to keep in history
+// Maximum suggestions to keep in history per workspace
 const MAX_HISTORY_SIZE = 100;
 
+// Statuses a suggestion can be evicted in (pending, approved and snoozed ones are still in use)
+const FINISHED_STATUSES = ['published', 'rejected'];
+
 /**
  * Generate a simple fingerprint from suggestion text
  * @param {string} text - Suggestion text
@@ -38,36 +57,171 @@ export function generateFingerprint(text) {
         .trim();
 }
 
+/**
+ * Make room for a workspace's next suggestion
+ * The oldest finished suggestions are removed first; a workspace whose history is all in
+ * use may go over the limit until some of it is published or rejected.
+ * @param {string|null} teamId - Slack team ID
+ */
+function pruneHistory(teamId) {
+    const records = Array.from(suggestionHistory.values()).filter(record => record.teamId === teamId);
+    const finished = records.filter(record => FINISHED_STATUSES.includes(record.status));
+
+    // Insertion order, so oldest first
+    for (let i = 0; records.length - i >= MAX_HISTORY_SIZE && i < finished.length; i++) {
+        suggestionHistory.delete(finished[i].id);
+    }
+}
+
 /**
  * Store a suggestion in history
- * @param {Object} suggestion - The suggestion object
+ * @param {Object} suggestion - The suggestion (idea) object
+ * @param {Object} meta - Optional metadata { teamId, channelId, channelName, source, origin, batchId, similarity, redactions, voice }
+ *   batchId groups ideas produced by the same analysis; redactions (the placeholder map) is kept
+ *   in memory only, never on the record
+ * @returns {Object|null} - Stored record (with id and status) or null if empty
  */
-export function storeSuggestion(suggestion) {
-    const fingerprint = generateFingerprint(suggestion.linkedInDraft || suggestion.xDraft || '');
+export function storeSuggestion(suggestion, meta = {}) {
+    const fingerprint = generateFingerprint(getPrimaryDraft(suggestion));
 
-    if (!fingerprint) return;
+    if (!fingerprint) return null;
 
-    // Prune old suggestions if over limit
-    if (suggestionHistory.size >= MAX_HISTORY_SIZE) {
-        // Remove oldest entry
-        const oldestKey = suggestionHistory.keys().next().value;
-        suggestionHistory.delete(oldestKey);
-    }
+    pruneHistory(meta.teamId || null);
 
-    suggestionHistory.set(fingerprint, {
+    const now = Date.now();
+    const record = {
+        id: randomUUID(),
         suggestion,
-        timestamp: Date.now(),
-    });
+        status: 'pending',
+        teamId: meta.teamId || null,
+        channelId: meta.channelId || null,
+        channelName: meta.channelName || null,
+        source: meta.source || null,
+        origin: meta.origin || null,
+        batchId: meta.batchId || null,
+        similarity: meta.similarity || 0,
+        voice: meta.voice || null,
+        createdAt: now,
+        updatedAt: now,
+    };
+
+    suggestionHistory.set(record.id, record);
+    rememberPlaceholders(record.id, meta.redactions);
+    recordSuggestion(record.origin);
+    emitWebhookEvent('suggestion.created', { suggestion: record });
+
+    console.log(`[SuggestionStore] Stored suggestion ${record.id} (${suggestionHistory.size} in history)`);
+    return record;
+}
+
+/**
+ * Get a stored suggestion record by ID
+ * @param {string} id - Suggestion ID
+ * @returns {Object|null}
+ */
+export function getSuggestion(id) {
+    return suggestionHistory.get(id) || null;
+}
+
+/**
+ * Get all suggestions produced by the same analysis, in the order they were stored
+ * @param {string} batchId - Batch ID
+ * @returns {Array} - Array of suggestion records
+ */
+export function getSuggestionsByBatch(batchId) {
+    if (!batchId) return [];
+    return Array.from(suggestionHistory.values()).filter(record => record.batchId === batchId);
+}
+
+/**
+ * Update the lifecycle status of a suggestion
+ * @param {string} id - Suggestion ID
+ * @param {string} status - One of SUGGESTION_STATUSES
+ * @param {Object} options - { userId, via, snoozedUntil } (via: 'api' for REST changes, else Slack)
+ * @returns {Object|null} - Updated record or null if not found
+ */
+export function updateSuggestionStatus(id, status, options = {}) {
+    if (!SUGGESTION_STATUSES.includes(status)) {
+        throw new Error(`Invalid suggestion status: ${status}`);
+    }
+
+    const record = suggestionHistory.get(id);
+    if (!record) return null;
+
+    const updated = {
+        ...record,
+        status,
+        statusChangedBy: options.userId || null,
+        statusChangedVia: options.via || null,
+        snoozedUntil: status === 'snoozed' ? options.snoozedUntil || null : null,
+        updatedAt: Date.now(),
+    };
+
+    suggestionHistory.set(id, updated);
+    console.log(`[SuggestionStore] Suggestion ${id} marked ${status}`);
+
+    // Re-snoozing keeps the same status, so only real transitions are announced
+    if (record.status !== status) {
+        emitWebhookEvent('suggestion.status_changed', { suggestion: updated, previousStatus: record.status });
+    }
+    return updated;
+}
+
+/**
+ * Save edited drafts for a suggestion
+ * The first edit keeps a copy of the LLM-generated drafts in `originalDrafts`.
+ * @param {string} id - Suggestion ID
+ * @param {Object} drafts - { platformId: text }
+ * @param {Object} options - { userId, via } (via: 'api' for REST changes, else Slack)
+ * @returns {Object|null} - Updated record or null if not found
+ */
+export function updateSuggestionDrafts(id, drafts, options = {}) {
+    const record = suggestionHistory.get(id);
+    if (!record) return null;
+
+    const updated = {
+        ...record,
+        suggestion: { ...record.suggestion, drafts: { ...record.suggestion.drafts, ...drafts } },
+        originalDrafts: record.originalDrafts || { ...record.suggestion.drafts },
+        editedBy: options.userId || null,
+        editedVia: options.via || null,
+        editedAt: Date.now(),
+        updatedAt: Date.now(),
+    };
 
-    console.log(`[SuggestionStore] Stored suggestion (${suggestionHistory.size} in history)`);
+    suggestionHistory.set(id, updated);
+    console.log(`[SuggestionStore] Saved edited drafts for suggestion ${id}`);
+    return updated;
+}
+
+/**
+ * Get snoozed suggestions whose snooze period has ended
+ * @param {string} teamId - Slack team ID (optional, all workspaces if omitted)
+ * @returns {Array} - Array of suggestion records
+ */
+export function getExpiredSnoozes(teamId = null) {
+    const now = Date.now();
+    return getSuggestionRecords(teamId)
+        .filter(record => record.status === 'snoozed' && record.snoozedUntil && record.snoozedUntil <= now);
 }
 
 /**
  * Get all stored suggestions
+ * @param {string} teamId - Slack team ID (optional, all workspaces if omitted)
  * @returns {Array} - Array of past suggestions
  */
-export function getStoredSuggestions() {
-    return Array.from(suggestionHistory.values()).map(entry => entry.suggestion);
+export function getStoredSuggestions(teamId = null) {
+    return getSuggestionRecords(teamId).map(entry => entry.suggestion);
+}
+
+/**
+ * Get stored suggestion records (with id, status and metadata)
+ * @param {string} teamId - Slack team ID (optional, all workspaces if omitted)
+ * @returns {Array}
+ */
+export function getSuggestionRecords(teamId = null) {
+    const records = Array.from(suggestionHistory.values());
+    return teamId ? records.filter(record => record.teamId === teamId) : records;
 }
 
 /**
@@ -80,29 +234,36 @@ export function clearSuggestions() {
 
 /**
  * Get the last sync timestamp for a channel
+ * @param {string} teamId - Slack team ID
  * @param {string} channelId - Channel ID
  * @returns {string|null} - Last sync timestamp or null
  */
-export function getLastSyncTimestamp(channelId) {
-    return syncTimestamps.get(channelId) || null;
+export function getLastSyncTimestamp(teamId, channelId) {
+    return syncTimestamps.get(teamKey(teamId, channelId)) || null;
 }
 
 /**
  * Update the sync timestamp for a channel
+ * @param {string} teamId - Slack team ID
  * @param {string} channelId - Channel ID
  * @param {string} timestamp - Slack timestamp
  */
-export function updateSyncTimestamp(channelId, timestamp) {
-    syncTimestamps.set(channelId, timestamp);
-    console.log(`[SuggestionStore] Updated sync timestamp for ${channelId}: ${timestamp}`);
+export function updateSyncTimestamp(teamId, channelId, timestamp) {
+    syncTimestamps.set(teamKey(teamId, channelId), timestamp);
+    console.log(`[SuggestionStore] Updated sync timestamp for ${teamId}/${channelId}: ${timestamp}`);
 }
 
 /**
  * Get all sync timestamps
- * @returns {Object} - Map of channelId to timestamp
+ * @returns {Object} - { teamId: { channelId: timestamp } }
  */
 export function getAllSyncTimestamps() {
-    return Object.fromEntries(syncTimestamps);
+    const byTeam = {};
+    for (const [key, timestamp] of syncTimestamps) {
+        const [teamId, channelId] = key.split(':');
+        byTeam[teamId] = { ...byTeam[teamId], [channelId]: timestamp };
+    }
+    return byTeam;
 }
 
 /**
@@ -110,27 +271,48 @@ export function getAllSyncTimestamps() {
  * @returns {Object}
  */
 export function getStoreStats() {
+    const statusCounts = Object.fromEntries(SUGGESTION_STATUSES.map(status => [status, 0]));
+    const workspaceCounts = {};
+    for (const record of suggestionHistory.values()) {
+        statusCounts[record.status] = (statusCounts[record.status] || 0) + 1;
+        workspaceCounts[record.teamId] = (workspaceCounts[record.teamId] || 0) + 1;
+    }
+
+    // channels: { channelId: timestamp } across workspaces (the latest, for a channel shared between them)
+    const channels = {};
+    for (const [key, timestamp] of syncTimestamps) {
+        const channelId = key.slice(key.indexOf(':') + 1);
+        if (!channels[channelId] || parseFloat(timestamp) > parseFloat(channels[channelId])) {
+            channels[channelId] = timestamp;
+        }
+    }
+
     return {
         suggestionsCount: suggestionHistory.size,
+        statusCounts,
+        workspaceCounts,
         syncChannelsCount: syncTimestamps.size,
-        channels: Object.fromEntries(syncTimestamps),
+        channels,
+        workspaces: getAllSyncTimestamps(),
     };
 }
 
 /**
  * Get the timestamp of the last message analyzed for a channel
+ * @param {string} teamId - Slack team ID
  * @param {string} channelId 
  * @returns {string|null} - Slack timestamp or null
  */
-export function getLastAnalyzedTs(channelId) {
-    return lastAnalyzedTimestamps.get(channelId) || null;
+export function getLastAnalyzedTs(teamId, channelId) {
+    return lastAnalyzedTimestamps.get(teamKey(teamId, channelId)) || null;
 }
 
 /**
  * Update the timestamp of the last message analyzed for a channel
+ * @param {string} teamId - Slack team ID
  * @param {string} channelId 
  * @param {string} ts - Slack timestamp
  */
-export function setLastAnalyzedTs(channelId, ts) {
-    lastAnalyzedTimestamps.set(channelId, ts);
+export function setLastAnalyzedTs(teamId, channelId, ts) {
+    lastAnalyzedTimestamps.set(teamKey(teamId, channelId), ts);
 }
@@ -0,0 +1,106 @@
+/**
+ * Thread Splitter
+ *
+ * Splits long text into thread posts that each fit a character limit:
+ * - Breaks on sentence boundaries first, then on words
+ * - Counts code points, so emoji count once
+ * - Optional "1/5" numbering
+ */
+
+/**
+ * Count user-visible characters (code points)
+ * @param {string} text
+ * @returns {number}
+ */
+function length(text) {
+    return Array.from(text).length;
+}
+
+/**
+ * Split text into sentences, keeping trailing punctuation and closing quotes
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitSentences(text) {
+    // A sentence ends at punctuation followed by whitespace (so "3.5" stays whole) or at a line break
+    return (text.match(/[^\n]+?(?:[.!?…]+["'”’)\]]*(?=\s|$)|(?=\n)|$)/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Split a sentence that is too long on its own, on word boundaries
+ * (words longer than the limit are cut)
+ * @param {string} sentence
+ * @param {number} limit - Max characters per piece
+ * @returns {Array<string>}
+ */
+function splitWords(sentence, limit) {
+    const pieces = [];
+    let current = '';
+
+    for (const word of sentence.split(/\s+/)) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (length(candidate) <= limit) {
+            current = candidate;
+            continue;
+        }
+
+        if (current) pieces.push(current);
+        current = word;
+        while (length(current) > limit) {
+            pieces.push(Array.from(current).slice(0, limit).join(''));
+            current = Array.from(current).slice(limit).join('');
+        }
+    }
+
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+/**
+ * Split text into posts of at most `limit` characters, packing whole sentences where possible
+ * @param {string} text - Text to split
+ * @param {number} limit - Max characters per post
+ * @returns {Array<string>}
+ */
+export function splitIntoPosts(text, limit) {
+    const posts = [];
+    let current = '';
+
+    for (const sentence of splitSentences(text || '')) {
+        const pieces = length(sentence) > limit ? splitWords(sentence, limit) : [sentence];
+
+        for (const piece of pieces) {
+            const candidate = current ? `${current} ${piece}` : piece;
+            if (length(candidate) <= limit) {
+                current = candidate;
+            } else {
+                posts.push(current);
+                current = piece;
+            }
+        }
+    }
+
+    if (current) posts.push(current);
+    return posts;
+}
+
+/**
+ * Get the characters reserved for numbering a thread of up to `maxPosts` posts (" 10/10")
+ * @param {number} maxPosts
+ * @returns {number}
+ */
+export function numberingReserve(maxPosts) {
+    return ` ${maxPosts}/${maxPosts}`.length;
+}
+
+/**
+ * Add "n/total" numbering to thread posts (single posts are left as-is)
+ * @param {Array<string>} posts
+ * @returns {Array<string>}
+ */
+export function numberPosts(posts) {
+    if (posts.length < 2) return posts;
+    return posts.map((post, idx) => `${post} ${idx + 1}/${posts.length}`);
+}
@@ -0,0 +1,302 @@
+/**
+ * Voice Profile Service
+ *
+ * Brand voices for drafts, per person or per company:
+ * - Previously published posts, injected as few-shot examples
+ * - Banned phrases, emoji policy and preferred length, injected as constraints
+ *   (banned phrases and "no emoji" are also checked on the response)
+ * - Profiles from VOICE_PROFILES_PATH (JSON, shared by all workspaces) plus ones managed
+ *   from Slack (persisted per workspace)
+ * - Optional per-channel default voice
+ */
+
+import fs from 'fs';
+import { getCollection, teamKey } from './persistence.js';
+
+const VOICE_PROFILES_PATH = process.env.VOICE_PROFILES_PATH;
+
+// Keep few-shot examples within a sensible prompt size
+const MAX_EXAMPLES = 5;
+const MAX_EXAMPLE_CHARS = 1500;
+
+export const EMOJI_POLICIES = ['none', 'sparing', 'any'];
+
+/**
+ * Preferred draft lengths and the guidance given to the LLM
+ */
+export const LENGTH_GUIDES = {
+    short: 'Keep LinkedIn drafts short: under 600 characters, a few tight lines.',
+    medium: 'Keep LinkedIn drafts medium length: roughly 600-1300 characters.',
+    long: 'LinkedIn drafts may be long-form: roughly 1300-2500 characters with a clear structure.',
+};
+
+const EMOJI_GUIDES = {
+    none: 'Do not use any emoji.',
+    sparing: 'Use at most one or two emoji per draft, only where they add meaning.',
+    any: 'Emoji are fine where they fit the voice.',
+};
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+// Profiles managed from Slack: { "teamId:name": profile } (profile.teamId is set)
+const customProfiles = getCollection('voiceProfiles');
+
+// Channel defaults: { "teamId:channelId": profileName }
+const channelVoices = getCollection('channelVoiceDefaults');
+
+/**
+ * Normalize a profile definition (fills defaults, trims and caps examples)
+ * @param {string} name - Profile name
+ * @param {Object} profile - Raw profile fields
+ * @returns {Object} - { name, description, examples, bannedPhrases, emoji, length }
+ */
+function normalizeProfile(name, profile = {}) {
+    return {
+        name,
+        description: profile.description || '',
+        examples: (profile.examples || [])
+            .map(example => String(example).trim().slice(0, MAX_EXAMPLE_CHARS))
+            .filter(Boolean)
+            .slice(-MAX_EXAMPLES),
+        bannedPhrases: (profile.bannedPhrases || []).map(phrase => String(phrase).trim()).filter(Boolean),
+        emoji: EMOJI_POLICIES.includes(profile.emoji) ? profile.emoji : 'any',
+        length: LENGTH_GUIDES[profile.length] ? profile.length : 'medium',
+        ...(profile.teamId && { teamId: profile.teamId }),
+        updatedBy: profile.updatedBy || null,
+        updatedAt: profile.updatedAt || null,
+    };
+}
+
+/**
+ * Load profiles from VOICE_PROFILES_PATH, if configured
+ * Accepts { name: profile } or [{ name, ...profile }].
+ * @returns {Object} - { name: profile }
+ */
+function loadFileProfiles() {
+    if (!VOICE_PROFILES_PATH) return {};
+
+    try {
+        const raw = JSON.parse(fs.readFileSync(VOICE_PROFILES_PATH, 'utf8'));
+        const entries = Array.isArray(raw)
+            ? raw.map(profile => [profile.name, profile])
+            : Object.entries(raw);
+
+        return Object.fromEntries(entries
+            .filter(([name]) => !!name)
+            .map(([name, profile]) => [name, normalizeProfile(name, profile)]));
+    } catch (error) {
+        console.error(`[VoiceProfiles] Failed to load ${VOICE_PROFILES_PATH}:`, error.message);
+        return {};
+    }
+}
+
+const FILE_PROFILES = loadFileProfiles();
+
+/**
+ * Get a profile by name (the workspace's Slack-managed profiles override file ones)
+ * @param {string} teamId - Slack team ID
+ * @param {string} name - Profile name
+ * @returns {Object|null}
+ */
+export function getVoiceProfile(teamId, name) {
+    if (!name) return null;
+    return customProfiles.get(teamKey(teamId, name)) || FILE_PROFILES[name] || null;
+}
+
+/**
+ * List the profiles available in a workspace
+ * @param {string} teamId - Slack team ID
+ * @returns {Array}
+ */
+export function listVoiceProfiles(teamId) {
+    const profiles = { ...FILE_PROFILES };
+    for (const profile of customProfiles.values()) {
+        if (profile.teamId === teamId) profiles[profile.name] = profile;
+    }
+    return Object.values(profiles);
+}
+
+/**
+ * Create or update a workspace's profile
+ * Fields that aren't given keep their current value.
+ * @param {string} teamId - Slack team ID
+ * @param {string} name - Profile name (letters, digits, - and _)
+ * @param {Object} fields - { description, examples, bannedPhrases, emoji, length }
+ * @param {Object} options - { userId }
+ * @returns {Object} - Saved profile
+ */
+export function saveVoiceProfile(teamId, name, fields, options = {}) {
+    if (!/^[a-z0-9_-]{1,40}$/i.test(name)) {
+        throw new Error('Voice names may only contain letters, digits, - and _ (max 40 characters).');
+    }
+    if (fields.emoji !== undefined && !EMOJI_POLICIES.includes(fields.emoji)) {
+        throw new Error(`Emoji policy must be one of: ${EMOJI_POLICIES.join(', ')}`);
+    }
+    if (fields.length !== undefined && !LENGTH_GUIDES[fields.length]) {
+        throw new Error(`Length must be one of: ${Object.keys(LENGTH_GUIDES).join(', ')}`);
+    }
+
+    const defined = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+    const profile = normalizeProfile(name, {
+        ...getVoiceProfile(teamId, name),
+        ...defined,
+        teamId,
+        updatedBy: options.userId || null,
+        updatedAt: Date.now(),
+    });
+
+    customProfiles.set(teamKey(teamId, name), profile);
+    console.log(`[VoiceProfiles] Saved voice ${name} for ${teamId}`);
+    return profile;
+}
+
+/**
+ * Add a previously published post to a profile's examples
+ * Only the latest MAX_EXAMPLES examples are kept.
+ * @param {string} teamId - Slack team ID
+ * @param {string} name - Profile name
+ * @param {string} post - Published post text
+ * @param {Object} options - { userId }
+ * @returns {Object} - Saved profile
+ */
+export function addVoiceExample(teamId, name, post, options = {}) {
+    const profile = getVoiceProfile(teamId, name);
+    if (!profile) {
+        throw new Error(`Voice \`${name}\` not found.`);
+    }
+    if (!post?.trim()) {
+        throw new Error('Example post cannot be empty.');
+    }
+
+    return saveVoiceProfile(teamId, name, { examples: [...profile.examples, post] }, options);
+}
+
+/**
+ * Delete a workspace's Slack-managed profile (file profiles can't be deleted)
+ * @param {string} teamId - Slack team ID
+ * @param {string} name - Profile name
+ * @returns {boolean} - Whether a profile was deleted
+ */
+export function deleteVoiceProfile(teamId, name) {
+    const deleted = customProfiles.delete(teamKey(teamId, name));
+
+    // The workspace's channels fall back to no default voice unless a file profile has the same name
+    if (deleted && !FILE_PROFILES[name]) {
+        const prefix = teamKey(teamId, '');
+        for (const [key, voice] of Array.from(channelVoices)) {
+            if (key.startsWith(prefix) && voice === name) channelVoices.delete(key);
+        }
+    }
+    return deleted;
+}
+
+/**
+ * Set a channel's default voice
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID
+ * @param {string} name - Profile name
+ */
+export function setChannelVoice(teamId, channelId, name) {
+    if (!getVoiceProfile(teamId, name)) {
+        throw new Error(`Voice \`${name}\` not found.`);
+    }
+    channelVoices.set(teamKey(teamId, channelId), name);
+    console.log(`[VoiceProfiles] Default voice for ${teamId}/${channelId} set to ${name}`);
+}
+
+/**
+ * Remove a channel's default voice
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID
+ * @returns {boolean} - Whether a default existed
+ */
+export function resetChannelVoice(teamId, channelId) {
+    return channelVoices.delete(teamKey(teamId, channelId));
+}
+
+/**
+ * Get a channel's default voice
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID
+ * @returns {Object|null}
+ */
+export function getChannelVoice(teamId, channelId) {
+    return getVoiceProfile(teamId, channelVoices.get(teamKey(teamId, channelId)));
+}
+
+/**
+ * Get the voice used for an analysis: the explicit choice, else the channel default
+ * @param {string} name - Explicitly selected voice (optional)
+ * @param {string} teamId - Slack team ID
+ * @param {string} channelId - Channel ID (optional)
+ * @returns {Object|null}
+ * @throws {Error} - If an explicitly selected voice doesn't exist
+ */
+export function resolveVoice(name, teamId, channelId) {
+    if (name) {
+        const profile = getVoiceProfile(teamId, name);
+        if (!profile) {
+            throw new Error(`Voice \`${name}\` not found. Run \`/chitchatposts voice list\` to see available voices.`);
+        }
+        return profile;
+    }
+    return channelId ? getChannelVoice(teamId, channelId) : null;
+}
+
+/**
+ * Build the system prompt section for a voice
+ * @param {Object} profile - Voice profile
+ * @returns {string}
+ */
+export function buildVoiceInstructions(profile) {
+    const lines = [
+        `VOICE: Write every draft in the "${profile.name}" voice${profile.description ? ` (${profile.description})` : ''}.`,
+        `- ${LENGTH_GUIDES[profile.length]}`,
+        `- ${EMOJI_GUIDES[profile.emoji]}`,
+    ];
+
+    if (profile.bannedPhrases.length > 0) {
+        lines.push(`- Never use these phrases: ${profile.bannedPhrases.map(phrase => `"${phrase}"`).join(', ')}`);
+    }
+
+    if (profile.examples.length > 0) {
+        lines.push(
+            '',
+            'Previously published posts in this voice. Match their tone, structure, vocabulary and formatting; never copy their content:',
+            ...profile.examples.map((example, idx) => `<example ${idx + 1}>\n${example}\n</example ${idx + 1}>`)
+        );
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Check drafts against a voice's hard constraints (banned phrases, no-emoji policy)
+ * @param {Array} ideas - Ideas from the LLM response
+ * @param {Object} profile - Voice profile
+ * @returns {Array<string>} - Violations (empty if none)
+ */
+export function checkVoice(ideas, profile) {
+    const errors = [];
+
+    (ideas || []).forEach((idea, idx) => {
+        for (const [platformId, draft] of Object.entries(idea?.drafts || {})) {
+            // Thread drafts are checked as a whole
+            const text = Array.isArray(draft) ? draft.join('\n') : draft;
+            if (typeof text !== 'string') continue;
+
+            const path = `$.ideas[${idx}].drafts.${platformId}`;
+            const lower = text.toLowerCase();
+            for (const phrase of profile.bannedPhrases) {
+                if (lower.includes(phrase.toLowerCase())) {
+                    errors.push(`${path} uses the banned phrase "${phrase}"`);
+                }
+            }
+            if (profile.emoji === 'none' && EMOJI_PATTERN.test(text)) {
+                errors.push(`${path} contains emoji, but this voice uses none`);
+            }
+        }
+    });
+
+    return errors;
+}
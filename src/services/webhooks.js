@@ -0,0 +1,259 @@
+/**
+ * Webhooks Service
+ *
+ * POSTs suggestion events to configured endpoints:
+ * - suggestion.created:         a new idea was stored
+ * - suggestion.status_changed:  approved / rejected / snoozed / published / reopened
+ *
+ * Every delivery is HMAC-SHA256 signed with the endpoint's secret, retried with
+ * exponential backoff on network errors, 429 and 5xx, and written to a persisted
+ * dead-letter log when it finally fails (retryable later via the REST API).
+ *
+ * Endpoints come from WEBHOOKS_CONFIG_PATH (JSON list) and/or WEBHOOK_URL + WEBHOOK_SECRET:
+ *   [{ "url": "...", "secret": "...", "events": ["suggestion.created"], "statuses": ["approved"], "teams": ["T0123"] }]
+ * `events` defaults to all events; `statuses` limits status_changed events to those new statuses.
+ * `teams` lists the workspaces whose suggestions the endpoint receives ("*" for all); without it,
+ * only the SLACK_BOT_TOKEN workspace's, so partner workspaces never reach an endpoint by default.
+ */
+
+import fs from 'fs';
+import axios from 'axios';
+import { createHmac, randomUUID } from 'crypto';
+import { getCollection } from './persistence.js';
+import { getTokenTeamId } from './workspaces.js';
+
+const WEBHOOKS_CONFIG_PATH = process.env.WEBHOOKS_CONFIG_PATH;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Backoff: 1s, 2s, 4s, ... capped at 5 minutes
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+// Dead-letter entries kept
+const MAX_DEAD_LETTERS = 200;
+
+export const WEBHOOK_EVENTS = ['suggestion.created', 'suggestion.status_changed'];
+
+// Failed deliveries: { deliveryId: { id, url, teamId, event, payload, attempts, lastError, failedAt } }
+const deadLetters = getCollection('webhookDeadLetters');
+
+/**
+ * Load endpoints from WEBHOOKS_CONFIG_PATH and WEBHOOK_URL
+ * Endpoints without a secret are skipped, since every payload must be signed.
+ * @returns {Array} - [{ url, secret, events, statuses }]
+ */
+function loadEndpoints() {
+    const configured = [];
+
+    if (WEBHOOKS_CONFIG_PATH) {
+        try {
+            const raw = JSON.parse(fs.readFileSync(WEBHOOKS_CONFIG_PATH, 'utf8'));
+            configured.push(...(Array.isArray(raw) ? raw : raw.endpoints || []));
+        } catch (error) {
+            console.error(`[Webhooks] Failed to load ${WEBHOOKS_CONFIG_PATH}:`, error.message);
+        }
+    }
+
+    if (process.env.WEBHOOK_URL) {
+        configured.push({
+            url: process.env.WEBHOOK_URL,
+            secret: process.env.WEBHOOK_SECRET,
+            events: process.env.WEBHOOK_EVENTS?.split(',').map(e => e.trim()).filter(Boolean),
+            teams: process.env.WEBHOOK_TEAMS?.split(',').map(t => t.trim()).filter(Boolean),
+        });
+    }
+
+    return configured
+        .filter(endpoint => endpoint?.url && endpoint.enabled !== false)
+        .filter(endpoint => {
+            if (endpoint.secret) return true;
+            console.error(`[Webhooks] Skipping ${endpoint.url}: no secret to sign payloads with`);
+            return false;
+        })
+        .map(endpoint => ({
+            url: endpoint.url,
+            secret: endpoint.secret,
+            events: endpoint.events?.length ? endpoint.events : ['*'],
+            statuses: endpoint.statuses?.length ? endpoint.statuses : null,
+            teams: endpoint.teams?.length ? endpoint.teams : null,
+        }));
+}
+
+const endpoints = loadEndpoints();
+
+/**
+ * Check whether an endpoint receives a workspace's events
+ * @param {Object} endpoint - { teams }
+ * @param {string} teamId - Slack team ID of the suggestion
+ * @returns {boolean}
+ */
+function servesTeam(endpoint, teamId) {
+    if (!endpoint.teams) return !!teamId && teamId === getTokenTeamId();
+    return endpoint.teams.includes('*') || endpoint.teams.includes(teamId);
+}
+
+/**
+ * Check whether an endpoint wants an event
+ * @param {Object} endpoint - { events, statuses, teams }
+ * @param {string} event - Event name
+ * @param {Object} data - Event data ({ suggestion } with the new status)
+ * @returns {boolean}
+ */
+function wantsEvent(endpoint, event, data) {
+    if (!servesTeam(endpoint, data.suggestion.teamId)) return false;
+    if (!endpoint.events.includes('*') && !endpoint.events.includes(event)) return false;
+    if (event === 'suggestion.status_changed' && endpoint.statuses) {
+        return endpoint.statuses.includes(data.suggestion.status);
+    }
+    return true;
+}
+
+/**
+ * Sign a payload: hex HMAC-SHA256 of "<timestamp>.<body>"
+ * Receivers recompute it with the shared secret and reject stale timestamps.
+ * @param {string} secret - Endpoint secret
+ * @param {string} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex>"
+ */
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Whether a failed delivery is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Get the wait before the next attempt (exponential, with jitter)
+ * @param {number} attempt - Attempts made so far (1-based)
+ * @returns {number} - Milliseconds
+ */
+function backoffDelay(attempt) {
+    const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Record a delivery that ran out of attempts
+ * @param {Object} delivery - { id, endpoint, event, payload }
+ * @param {number} attempts
+ * @param {Error} error
+ */
+function deadLetter(delivery, attempts, error) {
+    if (deadLetters.size >= MAX_DEAD_LETTERS) {
+        deadLetters.delete(deadLetters.keys().next().value);
+    }
+
+    deadLetters.set(delivery.id, {
+        id: delivery.id,
+        url: delivery.endpoint.url,
+        teamId: delivery.payload.data?.suggestion?.teamId || null,
+        event: delivery.event,
+        payload: delivery.payload,
+        attempts,
+        lastError: error.response ? `HTTP ${error.response.status}` : error.message,
+        failedAt: Date.now(),
+    });
+    console.error(`[Webhooks] Delivery ${delivery.id} (${delivery.event}) to ${delivery.endpoint.url} failed after ${attempts} attempt(s); dead-lettered`);
+}
+
+/**
+ * POST a delivery, retrying with backoff until it succeeds or runs out of attempts
+ * @param {Object} delivery - { id, endpoint, event, payload }
+ * @param {number} attempt - Attempt number (1-based)
+ */
+async function deliver(delivery, attempt = 1) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    try {
+        await axios.post(delivery.endpoint.url, body, {
+            timeout: REQUEST_TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ChitChatPosts-Webhooks/1.0',
+                'X-ChitChatPosts-Event': delivery.event,
+                'X-ChitChatPosts-Delivery': delivery.id,
+                'X-ChitChatPosts-Timestamp': timestamp,
+                'X-ChitChatPosts-Signature': signPayload(delivery.endpoint.secret, timestamp, body),
+            },
+        });
+        deadLetters.delete(delivery.id);
+        console.log(`[Webhooks] Delivered ${delivery.event} to ${delivery.endpoint.url}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+    } catch (error) {
+        if (attempt >= MAX_ATTEMPTS || !isRetryable(error)) {
+            deadLetter(delivery, attempt, error);
+            return;
+        }
+
+        const delay = backoffDelay(attempt);
+        console.warn(`[Webhooks] ${delivery.event} to ${delivery.endpoint.url} failed (${error.response?.status || error.message}); retrying in ${Math.round(delay / 1000)}s`);
+        setTimeout(() => deliver(delivery, attempt + 1), delay).unref?.();
+    }
+}
+
+/**
+ * Send an event to every endpoint that wants it (asynchronously; never throws)
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - { suggestion: record, previousStatus }
+ */
+export function emitWebhookEvent(event, data) {
+    for (const endpoint of endpoints) {
+        if (!wantsEvent(endpoint, event, data)) continue;
+
+        const id = randomUUID();
+        deliver({
+            id,
+            endpoint,
+            event,
+            payload: { id, event, createdAt: new Date().toISOString(), data },
+        });
+    }
+}
+
+/**
+ * List dead-lettered deliveries, newest first
+ * @param {string} teamId - Only this workspace's deliveries (optional)
+ * @returns {Array}
+ */
+export function getDeadLetters(teamId = null) {
+    return Array.from(deadLetters.values())
+        .filter(entry => !teamId || (entry.teamId ?? entry.payload?.data?.suggestion?.teamId) === teamId)
+        .sort((a, b) => b.failedAt - a.failedAt);
+}
+
+/**
+ * Retry a dead-lettered delivery (it is removed from the log once delivered)
+ * @param {string} id - Delivery ID
+ * @returns {boolean} - Whether the delivery was found
+ */
+export function retryDeadLetter(id) {
+    const entry = deadLetters.get(id);
+    if (!entry) return false;
+
+    const endpoint = endpoints.find(candidate => candidate.url === entry.url);
+    if (!endpoint) {
+        const error = new Error(`Endpoint ${entry.url} is no longer configured`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    deliver({ id, endpoint, event: entry.event, payload: entry.payload });
+    return true;
+}
+
+/**
+ * List configured endpoints (secrets omitted)
+ * @returns {Array}
+ */
+export function listWebhookEndpoints() {
+    return endpoints.map(({ url, events, statuses, teams }) => ({ url, events, statuses, teams }));
+}
@@ -0,0 +1,255 @@
+/**
+ * Workspaces Service
+ *
+ * The Slack workspaces one deployment serves:
+ * - The SLACK_BOT_TOKEN workspace (single-workspace setups, or the "home" workspace)
+ * - Workspaces installed through the OAuth flow (/slack/install), persisted by team ID
+ * - A Slack client and scheduler targets (suggestions channel, monitored channels) per workspace
+ *
+ * Bolt's `authorize` and the OAuth installer both read from the installation store here.
+ */
+
+import fs from 'fs';
+import { webApi } from '@slack/bolt';
+import { InstallProvider } from '@slack/oauth';
+import { getCollection, claimLegacyState } from './persistence.js';
+
+const SLACK_CLIENT_ID = process.env.SLACK_CLIENT_ID;
+const SLACK_CLIENT_SECRET = process.env.SLACK_CLIENT_SECRET;
+const SLACK_STATE_SECRET = process.env.SLACK_STATE_SECRET;
+const SLACK_REDIRECT_URI = process.env.SLACK_REDIRECT_URI;
+const SLACK_SCOPES = process.env.SLACK_SCOPES?.split(',').map(scope => scope.trim()).filter(Boolean) || [
+    'channels:history',
+    'groups:history',
+    'chat:write',
+    'commands',
+    'users:read',
+    'channels:read',
+    'groups:read',
+];
+const WORKSPACES_CONFIG_PATH = process.env.WORKSPACES_CONFIG_PATH;
+
+// Scheduler targets for the SLACK_BOT_TOKEN workspace
+const SUGGESTIONS_CHANNEL_ID = process.env.SUGGESTIONS_CHANNEL_ID;
+const MONITORED_CHANNELS = process.env.MONITORED_CHANNELS?.split(',').map(c => c.trim()).filter(Boolean) || [];
+
+export const OAUTH_ENABLED = !!(SLACK_CLIENT_ID && SLACK_CLIENT_SECRET && SLACK_STATE_SECRET);
+
+// OAuth installations: { teamId (or enterpriseId for org-wide installs): Installation }
+const installations = getCollection('installations');
+
+// The SLACK_BOT_TOKEN workspace (kept in memory; the token lives in the environment)
+let tokenWorkspace = null;
+
+// Slack clients per workspace: { teamId: WebClient }
+const clients = new Map();
+
+let installer = null;
+
+/**
+ * Load per-workspace scheduler targets from WORKSPACES_CONFIG_PATH
+ * Format: { "T0123": { "suggestionsChannelId": "C0123", "monitoredChannels": ["C0456"],
+ *                      "timezone": "Asia/Kolkata", "schedules": { "24h": "0 18 * * 1-5" } } }
+ * @returns {Object}
+ */
+function loadWorkspaceConfig() {
+    if (!WORKSPACES_CONFIG_PATH) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(WORKSPACES_CONFIG_PATH, 'utf8'));
+    } catch (error) {
+        console.error(`[Workspaces] Failed to load ${WORKSPACES_CONFIG_PATH}:`, error.message);
+        return {};
+    }
+}
+
+const workspaceConfig = loadWorkspaceConfig();
+
+/**
+ * Get the store key for an installation query
+ * Org-wide (Enterprise Grid) installs are stored under the enterprise ID.
+ * @param {Object} query - { teamId, enterpriseId, isEnterpriseInstall }
+ * @returns {string}
+ */
+function installationKey({ teamId, enterpriseId, isEnterpriseInstall }) {
+    return isEnterpriseInstall && enterpriseId ? enterpriseId : teamId;
+}
+
+/**
+ * Installation store used by the OAuth installer and by `authorize`
+ * (implements Bolt's InstallationStore interface)
+ */
+export const installationStore = {
+    async storeInstallation(installation) {
+        const key = installationKey({
+            teamId: installation.team?.id,
+            enterpriseId: installation.enterprise?.id,
+            isEnterpriseInstall: installation.isEnterpriseInstall,
+        });
+
+        installations.set(key, { ...installation, installedAt: Date.now() });
+        clients.delete(key);
+        console.log(`[Workspaces] Installed in ${installation.team?.name || installation.enterprise?.name || key} (${key})`);
+    },
+
+    async fetchInstallation(query) {
+        const key = installationKey(query);
+        if (tokenWorkspace && key === tokenWorkspace.team.id) {
+            return tokenWorkspace;
+        }
+
+        const installation = installations.get(key);
+        if (!installation) {
+            throw new Error(`No installation for ${key}`);
+        }
+        return installation;
+    },
+
+    async deleteInstallation(query) {
+        const key = installationKey(query);
+        installations.delete(key);
+        clients.delete(key);
+        console.log(`[Workspaces] Removed installation for ${key}`);
+    },
+};
+
+/**
+ * Resolve the bot token for an incoming event (Bolt `authorize` option)
+ * @param {Object} source - { teamId, enterpriseId, isEnterpriseInstall }
+ * @returns {Promise<Object>} - { botToken, botId, botUserId, teamId, enterpriseId }
+ */
+export async function authorize(source) {
+    const installation = await installationStore.fetchInstallation(source);
+    if (!installation.bot?.token) {
+        throw new Error(`Installation for ${installationKey(source)} has no bot token`);
+    }
+
+    return {
+        botToken: installation.bot.token,
+        botId: installation.bot.id,
+        botUserId: installation.bot.userId,
+        teamId: installation.team?.id ?? source.teamId,
+        enterpriseId: installation.enterprise?.id ?? source.enterpriseId,
+    };
+}
+
+/**
+ * Register the SLACK_BOT_TOKEN workspace
+ * It also takes over state saved before multi-workspace support (see claimLegacyState).
+ * @param {string} token - Bot token (xoxb-...)
+ * @returns {Promise<Object>} - { teamId, teamName }
+ */
+export async function registerTokenWorkspace(token) {
+    const client = new webApi.WebClient(token);
+    const auth = await client.auth.test();
+
+    tokenWorkspace = {
+        team: { id: auth.team_id, name: auth.team },
+        enterprise: auth.enterprise_id ? { id: auth.enterprise_id } : undefined,
+        bot: { token, id: auth.bot_id, userId: auth.user_id },
+        isEnterpriseInstall: false,
+        source: 'token',
+    };
+    clients.set(auth.team_id, client);
+    claimLegacyState(auth.team_id);
+
+    console.log(`[Workspaces] Using SLACK_BOT_TOKEN for ${auth.team} (${auth.team_id})`);
+    return { teamId: auth.team_id, teamName: auth.team };
+}
+
+/**
+ * Get the OAuth installer (null unless SLACK_CLIENT_ID, SLACK_CLIENT_SECRET and SLACK_STATE_SECRET are set)
+ * @returns {InstallProvider|null}
+ */
+export function getInstaller() {
+    if (!OAUTH_ENABLED) return null;
+
+    installer ??= new InstallProvider({
+        clientId: SLACK_CLIENT_ID,
+        clientSecret: SLACK_CLIENT_SECRET,
+        stateSecret: SLACK_STATE_SECRET,
+        installationStore,
+        installUrlOptions: {
+            scopes: SLACK_SCOPES,
+            ...(SLACK_REDIRECT_URI && { redirectUri: SLACK_REDIRECT_URI }),
+        },
+    });
+    return installer;
+}
+
+/**
+ * Get the installation record for a workspace
+ * @param {string} teamId - Slack team ID
+ * @returns {Object|null}
+ */
+function getInstallation(teamId) {
+    if (tokenWorkspace?.team.id === teamId) return tokenWorkspace;
+    return installations.get(teamId) || null;
+}
+
+/**
+ * Get a Slack client for a workspace (for work outside a Slack request, e.g. cron jobs)
+ * @param {string} teamId - Slack team ID
+ * @returns {Object|null} - WebClient, or null if the workspace isn't installed
+ */
+export function getWorkspaceClient(teamId) {
+    if (clients.has(teamId)) return clients.get(teamId);
+
+    const token = getInstallation(teamId)?.bot?.token;
+    if (!token) return null;
+
+    const client = new webApi.WebClient(token);
+    clients.set(teamId, client);
+    return client;
+}
+
+/**
+ * Get where the scheduler reads from and posts to in a workspace
+ * WORKSPACES_CONFIG_PATH wins; the SLACK_BOT_TOKEN workspace falls back to SUGGESTIONS_CHANNEL_ID
+ * and MONITORED_CHANNELS, OAuth installs to the channel picked for the incoming-webhook scope.
+ * Timezone and schedules (cron expression per analysis window) are only set from the config file.
+ * @param {string} teamId - Slack team ID
+ * @returns {Object} - { suggestionsChannelId, monitoredChannels, timezone, schedules }
+ */
+export function getWorkspaceTargets(teamId) {
+    const configured = workspaceConfig[teamId] || {};
+    const installation = getInstallation(teamId);
+    const isTokenWorkspace = installation?.source === 'token';
+
+    return {
+        suggestionsChannelId: configured.suggestionsChannelId ||
+            (isTokenWorkspace ? SUGGESTIONS_CHANNEL_ID : installation?.incomingWebhook?.channelId) || null,
+        monitoredChannels: configured.monitoredChannels || (isTokenWorkspace ? MONITORED_CHANNELS : []),
+        timezone: configured.timezone || null,
+        schedules: configured.schedules || null,
+    };
+}
+
+/**
+ * Get the team ID of the SLACK_BOT_TOKEN workspace
+ * @returns {string|null} - null until registerTokenWorkspace has run (or without a token)
+ */
+export function getTokenTeamId() {
+    return tokenWorkspace?.team.id || null;
+}
+
+/**
+ * List the workspaces the bot serves (no tokens)
+ * @returns {Array} - [{ teamId, teamName, source, installedAt, suggestionsChannelId, monitoredChannels, timezone, schedules }]
+ */
+export function listWorkspaces() {
+    const all = [
+        ...(tokenWorkspace ? [tokenWorkspace] : []),
+        ...Array.from(installations.values()).filter(installation => installation.team?.id !== tokenWorkspace?.team.id),
+    ];
+
+    return all
+        .filter(installation => installation.team?.id)
+        .map(installation => ({
+            teamId: installation.team.id,
+            teamName: installation.team.name || null,
+            source: installation.source || 'oauth',
+            installedAt: installation.installedAt || null,
+            ...getWorkspaceTargets(installation.team.id),
+        }));
+}
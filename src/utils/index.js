@@ -1,4 +1,13 @@
-// Add your utility helpers here (e.g. formatters, validators).
-// Example: export { formatDate } from './date.js';
-
-export {};
+// Utility helpers (formatters, validators).
+export {
+    formatLifecycleBlocks,
+    formatEditModal,
+    formatScore,
+    countCharacters,
+    validateDrafts,
+    formatDraftBlocks,
+    draftBlockId,
+    SUGGESTION_ACTIONS,
+    SUGGESTION_EDIT_ACTION,
+    SUGGESTION_EDIT_MODAL,
+} from './suggestionBlocks.js';
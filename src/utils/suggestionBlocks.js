@@ -0,0 +1,290 @@
+/**
+ * Suggestion Block Helpers
+ *
+ * Shared Block Kit pieces for suggestion messages:
+ * - Lifecycle status line
+ * - Approve / Reject / Snooze / Edit action buttons (plus Show originals for redacted drafts)
+ * - Per-platform draft sections
+ * - Edit-draft modal
+ */
+
+import {
+    getPlatform,
+    listPlatforms,
+    renderDraftBlocks,
+    formatThreadPosts,
+    formatDraftInput,
+} from '../services/platforms.js';
+import { hasPlaceholders } from '../services/redaction.js';
+
+// Edit button action ID and modal callback ID (handled in slackHandlers.js)
+export const SUGGESTION_EDIT_ACTION = 'suggestion_edit';
+export const SUGGESTION_EDIT_MODAL = 'suggestion_edit_modal';
+
+// Show originals button action ID: restores redacted values for the clicking admin (memory only, see redaction.js)
+export const SUGGESTION_REVEAL_ACTION = 'suggestion_reveal';
+
+// Status-changing action IDs handled by app.action in slackHandlers.js
+export const SUGGESTION_ACTIONS = {
+    approve: 'suggestion_approve',
+    reject: 'suggestion_reject',
+    snooze: 'suggestion_snooze',
+    publish: 'suggestion_publish',
+    reopen: 'suggestion_reopen',
+};
+
+const STATUS_LABELS = {
+    pending: '⏳ Pending review',
+    approved: '✅ Approved',
+    rejected: '🚫 Rejected',
+    snoozed: '😴 Snoozed',
+    published: '🚀 Published',
+};
+
+/**
+ * Build a single button element
+ * @param {string} text - Button label
+ * @param {string} actionId - Action ID
+ * @param {string} value - Suggestion ID
+ * @param {string} style - Optional 'primary' or 'danger'
+ * @returns {Object}
+ */
+function button(text, actionId, value, style) {
+    return {
+        type: 'button',
+        text: { type: 'plain_text', text, emoji: true },
+        action_id: actionId,
+        value,
+        ...(style && { style }),
+    };
+}
+
+/**
+ * Get the buttons available for a suggestion in its current status
+ * @param {Object} record - Stored suggestion record
+ * @returns {Array} - Button elements
+ */
+function getStatusButtons(record) {
+    const { id, status } = record;
+
+    switch (status) {
+        case 'pending':
+            return [
+                button('✅ Approve', SUGGESTION_ACTIONS.approve, id, 'primary'),
+                button('🚫 Reject', SUGGESTION_ACTIONS.reject, id, 'danger'),
+                button('😴 Snooze 1 day', SUGGESTION_ACTIONS.snooze, id),
+                button('✏️ Edit', SUGGESTION_EDIT_ACTION, id),
+            ];
+        case 'approved':
+            return [
+                button('🚀 Mark published', SUGGESTION_ACTIONS.publish, id, 'primary'),
+                button('✏️ Edit', SUGGESTION_EDIT_ACTION, id),
+                button('↩️ Reopen', SUGGESTION_ACTIONS.reopen, id),
+            ];
+        case 'rejected':
+        case 'snoozed':
+            return [button('↩️ Reopen', SUGGESTION_ACTIONS.reopen, id)];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Describe who made a change
+ * Slack user IDs become mentions; other IDs (sent to the REST API) are shown as plain text.
+ * @param {string|null} userId - User who made the change
+ * @param {string|null} via - 'api' for REST changes
+ * @returns {string} - e.g. " by <@U123>", " by alice via the API", or ""
+ */
+function formatActor(userId, via) {
+    let text = '';
+    if (userId) {
+        text += /^[UW][A-Z0-9]+$/.test(userId)
+            ? ` by <@${userId}>`
+            : ` by ${userId.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}`;
+    }
+    if (via === 'api') {
+        text += ' via the API';
+    }
+    return text;
+}
+
+/**
+ * Format the lifecycle status and action buttons for a suggestion
+ * @param {Object} record - Stored suggestion record { id, status, statusChangedBy, statusChangedVia, snoozedUntil }
+ * @returns {Array} - Slack blocks
+ */
+export function formatLifecycleBlocks(record) {
+    if (!record) return [];
+
+    let statusText = `*Status:* ${STATUS_LABELS[record.status] || record.status}`;
+    statusText += formatActor(record.statusChangedBy, record.statusChangedVia);
+    if (record.status === 'snoozed' && record.snoozedUntil) {
+        statusText += ` until <!date^${Math.floor(record.snoozedUntil / 1000)}^{date_short_pretty} {time}|${new Date(record.snoozedUntil).toISOString()}>`;
+    }
+    if (record.editedBy || record.editedVia) {
+        statusText += ` • ✏️ Edited${formatActor(record.editedBy, record.editedVia)}`;
+    }
+
+    const blocks = [
+        {
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: statusText }],
+        },
+    ];
+
+    const buttons = getStatusButtons(record);
+    if (hasPlaceholders(record.id)) {
+        buttons.push(button('🔓 Show originals', SUGGESTION_REVEAL_ACTION, record.id));
+    }
+    if (buttons.length > 0) {
+        blocks.push({
+            type: 'actions',
+            block_id: `suggestion_actions_${record.id}`,
+            elements: buttons,
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * Format an idea score for display next to its title
+ * @param {number|null} score - 1-10 score (missing on suggestions stored before ranking)
+ * @returns {string}
+ */
+export function formatScore(score) {
+    return score ? `  •  Score ${score}/10` : '';
+}
+
+/**
+ * Count user-visible characters (code points, so emoji count once)
+ * @param {string} text
+ * @returns {number}
+ */
+export function countCharacters(text) {
+    return text ? Array.from(text).length : 0;
+}
+
+/**
+ * Order an idea's drafts by platform display order
+ * @param {Object} drafts - { platformId: text }
+ * @returns {Array} - [platformId, text] pairs
+ */
+function orderedDrafts(drafts = {}) {
+    const order = listPlatforms().map(platform => platform.id);
+    // Unregistered platforms (e.g. from old records) go last
+    const rank = (platformId) => (order.includes(platformId) ? order.indexOf(platformId) : order.length);
+    return Object.entries(drafts).sort(([a], [b]) => rank(a) - rank(b));
+}
+
+/**
+ * Render an idea's drafts as Slack blocks, one section per platform
+ * @param {Object} drafts - { platformId: text }
+ * @returns {Array} - Slack blocks
+ */
+export function formatDraftBlocks(drafts) {
+    return orderedDrafts(drafts).flatMap(([platformId, draft]) => [
+        { type: 'divider' },
+        ...renderDraftBlocks(platformId, draft),
+    ]);
+}
+
+/**
+ * Get the modal block ID for a platform's draft input
+ * @param {string} platformId - Platform ID
+ * @returns {string}
+ */
+export function draftBlockId(platformId) {
+    return `draft_${platformId}`;
+}
+
+/**
+ * Validate a thread draft: post count, and each post (with its number) within the limit
+ * @param {Object} platform - Platform definition
+ * @param {Array<string>} posts - Thread posts
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateThread(platform, posts) {
+    if (posts.length === 0) {
+        return `${platform.label} draft cannot be empty. Separate tweets with a line containing only ---`;
+    }
+    if (posts.length > platform.thread.maxPosts) {
+        return `${platform.label} has ${posts.length} tweets; the limit is ${platform.thread.maxPosts}.`;
+    }
+
+    const tooLong = formatThreadPosts(platform, posts)
+        .map((post, idx) => ({ idx, length: countCharacters(post) }))
+        .filter(({ length }) => length > platform.charLimit);
+
+    return tooLong.length > 0
+        ? tooLong.map(({ idx, length }) => `Tweet ${idx + 1} is ${length} characters`).join('; ') +
+            ` (limit ${platform.charLimit}${platform.thread.numbering ? ', including numbering' : ''}).`
+        : null;
+}
+
+/**
+ * Validate submitted drafts against platform constraints
+ * @param {Object} drafts - { platformId: text, or list of posts for thread platforms }
+ * @returns {Object} - Slack view errors keyed by block_id (empty if valid)
+ */
+export function validateDrafts(drafts) {
+    const errors = {};
+
+    for (const [platformId, draft] of Object.entries(drafts)) {
+        const platform = getPlatform(platformId);
+        const label = platform?.label || platformId;
+
+        if (platform?.thread) {
+            const error = validateThread(platform, draft);
+            if (error) errors[draftBlockId(platformId)] = error;
+            continue;
+        }
+
+        const length = countCharacters(draft);
+        if (!draft?.trim()) {
+            errors[draftBlockId(platformId)] = `${label} draft cannot be empty.`;
+        } else if (platform && length > platform.charLimit) {
+            errors[draftBlockId(platformId)] = `${label} draft is ${length} characters; the limit is ${platform.charLimit}. Trim ${length - platform.charLimit} more.`;
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Build the edit-draft modal, prefilled with the current drafts
+ * @param {Object} record - Stored suggestion record
+ * @param {Object} metadata - Extra state carried through to the submission (e.g. responseUrl)
+ * @returns {Object} - Slack modal view
+ */
+export function formatEditModal(record, metadata = {}) {
+    return {
+        type: 'modal',
+        callback_id: SUGGESTION_EDIT_MODAL,
+        private_metadata: JSON.stringify({ suggestionId: record.id, ...metadata }),
+        title: { type: 'plain_text', text: 'Edit drafts' },
+        submit: { type: 'plain_text', text: 'Save' },
+        close: { type: 'plain_text', text: 'Cancel' },
+        blocks: orderedDrafts(record.suggestion.drafts).map(([platformId, draft]) => {
+            const platform = getPlatform(platformId) || { label: platformId, emoji: '📝' };
+            const length = countCharacters(formatDraftInput(draft));
+            const hint = platform.thread
+                ? `One tweet per block, separated by a line containing only --- (max ${platform.thread.maxPosts} tweets, ${platform.charLimit} characters each)`
+                : `Max ${platform.charLimit} characters (current draft: ${length}${length > platform.charLimit ? ' ⚠️ too long' : ''})`;
+
+            return {
+                type: 'input',
+                block_id: draftBlockId(platformId),
+                label: { type: 'plain_text', text: `${platform.emoji} ${platform.label} Draft` },
+                ...(platform.charLimit && { hint: { type: 'plain_text', text: hint } }),
+                element: {
+                    type: 'plain_text_input',
+                    action_id: 'value',
+                    multiline: true,
+                    initial_value: formatDraftInput(draft),
+                },
+            };
+        }),
+    };
+}